@@ -3,10 +3,45 @@
 let settings = {};
 let isAuthenticated = false;
 let isAdmin = false;
+let userRole = 'player'; // player, moderator or admin (from /auth/me)
+let isModerator = false; // moderators and admins: claim moderation tools
+let userTeam = null; // team the server has this user on (null until they join one)
 let userClaimsUsed = 0;
 let userClaimLimit = 0;
 let userClaimsRemaining = 0;
 let filteredClaimIds = new Set(); // Store IDs of claims to highlight in purple
+let expectingMapChange = false; // set while this admin switches map versions, which reloads the page anyway
+let csrfToken = null; // from /auth/me; the server wants it on every POST/DELETE
+
+async function refreshCsrfToken() {
+  const res = await nativeFetch('/auth/me');
+  const data = await res.json();
+  csrfToken = data.csrfToken || null;
+}
+
+// Every state-changing fetch carries the CSRF token. The token belongs to the session, so after
+// a logout or an expired session the server rejects the old one: fetch a new one and retry once.
+const nativeFetch = window.fetch.bind(window);
+window.fetch = async (input, init = {}) => {
+  const method = (init.method || 'GET').toUpperCase();
+  if (method === 'GET' || method === 'HEAD') return nativeFetch(input, init);
+  
+  const send = () => {
+    const headers = new Headers(init.headers);
+    if (csrfToken) headers.set('X-CSRF-Token', csrfToken);
+    return nativeFetch(input, { ...init, headers });
+  };
+  if (!csrfToken) await refreshCsrfToken();
+  let res = await send();
+  if (res.status === 403) {
+    const body = await res.clone().json().catch(() => ({}));
+    if (body.csrf) {
+      await refreshCsrfToken();
+      res = await send();
+    }
+  }
+  return res;
+};
 
 // Show/hide auth modal
 function showAuthModal() {
@@ -23,12 +58,41 @@ function hideAuthModal() {
   }
 }
 
-// Update admin toolbar visibility
+// Change password modal; forced after signing in with a temporary password (no current
+// password needed, and it cannot be dismissed)
+function showChangePasswordModal(forced) {
+  const modal = document.getElementById('changePasswordModal');
+  if (!modal) return;
+  modal.dataset.forced = forced ? 'true' : '';
+  document.getElementById('changePasswordNotice').style.display = forced ? 'block' : 'none';
+  document.getElementById('currentPasswordField').style.display = forced ? 'none' : 'block';
+  document.getElementById('cancelChangePasswordBtn').style.display = forced ? 'none' : 'block';
+  document.getElementById('changePasswordError').style.display = 'none';
+  modal.style.display = 'flex';
+}
+
+// Remember the role reported by /auth/me
+function setUserRole(role) {
+  userRole = role || 'player';
+  isAdmin = userRole === 'admin';
+  isModerator = userRole === 'moderator' || isAdmin;
+}
+
+function roleLabel() {
+  if (isAdmin) return ' (Admin)';
+  return isModerator ? ' (Moderator)' : '';
+}
+
+// Update admin toolbar visibility; moderators get the claim tools but not map upload or Clear DB
 function updateAdminToolbar() {
   const adminToolbar = document.querySelector('.toolbar-bottom-right');
   if (adminToolbar) {
-    adminToolbar.style.display = isAdmin ? 'block' : 'none';
+    adminToolbar.style.display = isModerator ? 'block' : 'none';
   }
+  ['settingsBtn', 'uploadMapBtn', 'mapVersionsBtn', 'backupBtn', 'webhooksBtn', 'clearDbBtn'].forEach(id => {
+    const btn = document.getElementById(id);
+    if (btn) btn.style.display = isAdmin ? '' : 'none';
+  });
 }
 
 // Update claims info display
@@ -107,12 +171,14 @@ async function checkAuth() {
   try {
     const r = await fetch('/auth/me');
     const data = await r.json();
+    csrfToken = data.csrfToken || csrfToken;
     if (!data.authenticated) {
       showAuthModal();
       stopCountdownTimer();
     } else {
       isAuthenticated = true;
-      isAdmin = data.isAdmin || false;
+      setUserRole(data.role);
+      userTeam = data.team || null;
       userClaimsUsed = data.claimsUsedToday || 0;
       userClaimLimit = data.dailyClaimLimit || 0;
       userClaimsRemaining = data.claimsRemaining || 0;
@@ -127,8 +193,9 @@ async function checkAuth() {
       startCountdownTimer();
       const userInfo = document.getElementById('userInfo');
       if (userInfo) {
-        userInfo.textContent = `User: ${data.username}${isAdmin ? ' (Admin)' : ''}`;
+        userInfo.textContent = `User: ${data.username}${roleLabel()}`;
       }
+      if (data.mustChangePassword) showChangePasswordModal(true);
     }
   } catch {
     showAuthModal();
@@ -136,11 +203,11 @@ async function checkAuth() {
   }
 }
 
+// Game settings come from the server, which merges ServerSettings.json with in-app edits
 async function fetchJSON() {
-  const res = await fetch('ServerSettings.json');
-  if (!res.ok) throw new Error('Failed to load ServerSettings.json: ' + res.status);
+  const res = await fetch('/settings');
+  if (!res.ok) throw new Error('Failed to load settings: ' + res.status);
   settings = await res.json();
-  console.log('Loaded ServerSettings.json:', settings);
 }
 
 function loadImage(src) {
@@ -163,7 +230,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   try {
     await fetchJSON();
   } catch (err) {
-    console.error('Could not load ServerSettings.json', err);
+    console.error('Could not load settings', err);
     return;
   }
 
@@ -192,6 +259,8 @@ document.addEventListener('DOMContentLoaded', async () => {
   let claimRegion = (imgX, imgY) => {
     console.log('claimRegion called before image load — ignoring', imgX, imgY);
   };
+  // Hover info (owner and protection time of the region under the cursor); assigned after image loads
+  let updateHoverInfo = (clientX, clientY) => {};
 
   function draw() {
     if (!ctx) return;
@@ -271,6 +340,8 @@ document.addEventListener('DOMContentLoaded', async () => {
   let reloadSavedClaims = async () => {
     console.warn('reloadSavedClaims called before initialization');
   };
+  // Repaint every loaded claim without refetching (e.g. after the purple filter changes)
+  let repaintSavedClaims = () => {};
 
   function updateSwatch(teamName) {
     if (!teamSwatch) return;
@@ -284,9 +355,13 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
 
-  if (teamSelect && settings.Teams && Object.keys(settings.Teams).length) {
+  // Players only get their own team (plus Remove Claim); admins can paint for any team
+  function populateTeamSelect() {
+    if (!teamSelect) return;
+    const allTeams = settings.Teams ? Object.keys(settings.Teams) : [];
+    const names = isAdmin ? allTeams : allTeams.filter(name => name === userTeam);
+    
     teamSelect.innerHTML = '';
-    const names = Object.keys(settings.Teams);
     // Add "Empty" option at the beginning for removing claims
     const emptyOpt = document.createElement('option');
     emptyOpt.value = '__EMPTY__';
@@ -299,9 +374,15 @@ document.addEventListener('DOMContentLoaded', async () => {
       opt.textContent = name;
       teamSelect.appendChild(opt);
     });
-    selectedTeam = '__EMPTY__';
+    if (!names.includes(selectedTeam)) {
+      selectedTeam = !isAdmin && names.length ? names[0] : '__EMPTY__';
+    }
     teamSelect.value = selectedTeam;
     updateSwatch(selectedTeam);
+  }
+
+  if (teamSelect && settings.Teams && Object.keys(settings.Teams).length) {
+    populateTeamSelect();
     teamSelect.addEventListener('change', (e) => {
       selectedTeam = e.target.value;
       updateSwatch(selectedTeam);
@@ -311,6 +392,146 @@ document.addEventListener('DOMContentLoaded', async () => {
     if (teamSwatch) teamSwatch.style.display = 'none';
   }
 
+  // Team picker for players who have not joined a team yet
+  const teamModal = document.getElementById('teamModal');
+  const teamPickSelect = document.getElementById('teamPickSelect');
+  const teamPickBtn = document.getElementById('teamPickBtn');
+  const teamPickError = document.getElementById('teamPickError');
+
+  function showTeamModalIfNeeded() {
+    if (!teamModal || !isAuthenticated || isAdmin || userTeam) return;
+    teamPickSelect.innerHTML = '';
+    Object.keys(settings.Teams || {}).forEach((name) => {
+      const opt = document.createElement('option');
+      opt.value = name;
+      opt.textContent = name;
+      teamPickSelect.appendChild(opt);
+    });
+    teamPickError.style.display = 'none';
+    teamModal.style.display = 'flex';
+  }
+
+  if (teamPickBtn) {
+    teamPickBtn.addEventListener('click', async () => {
+      try {
+        const response = await fetch('/auth/team', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ team: teamPickSelect.value })
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to join team');
+        
+        userTeam = data.team;
+        populateTeamSelect();
+        teamModal.style.display = 'none';
+      } catch (err) {
+        teamPickError.textContent = err.message;
+        teamPickError.style.display = 'block';
+      }
+    });
+  }
+
+  showTeamModalIfNeeded();
+
+  // ----- Leaderboard: team standings from /stats -----
+  const leaderboardBtn = document.getElementById('leaderboardBtn');
+  const leaderboardPanel = document.getElementById('leaderboardPanel');
+  const leaderboardBody = document.getElementById('leaderboardBody');
+  const leaderboardSince = document.getElementById('leaderboardSince');
+  let leaderboardTimer = null;
+
+  function formatChange(n) {
+    if (!n) return '±0';
+    return (n > 0 ? '+' : '') + n.toLocaleString();
+  }
+
+  async function refreshLeaderboard() {
+    if (!leaderboardPanel || leaderboardPanel.style.display === 'none') return;
+    try {
+      const res = await fetch('/stats');
+      if (!res.ok) throw new Error('Failed to fetch stats: ' + res.status);
+      const stats = await res.json();
+      
+      leaderboardBody.innerHTML = '';
+      stats.teams.forEach((t, i) => {
+        const share = stats.totalArea ? (t.area / stats.totalArea * 100).toFixed(1) : '0.0';
+        const color = t.color || (settings.Teams && settings.Teams[t.team] && settings.Teams[t.team].color) || 'transparent';
+        const row = document.createElement('tr');
+        // Team names are player-editable, so cells are filled as text, never as HTML
+        const cell = (text, style) => {
+          const td = document.createElement('td');
+          td.style.cssText = 'padding:2px 6px;' + (style || '');
+          td.textContent = text;
+          row.appendChild(td);
+          return td;
+        };
+        cell(String(i + 1));
+        const swatch = document.createElement('span');
+        swatch.className = 'swatch';
+        swatch.style.cssText = 'margin-left:0;margin-right:6px;';
+        swatch.style.backgroundColor = color;
+        cell(t.team).prepend(swatch);
+        cell(t.regions.toLocaleString(), 'text-align:right;');
+        cell(share + '%', 'text-align:right;').title = t.area.toLocaleString() + ' px';
+        cell(formatChange(t.regionsChange), 'text-align:right;').style.color = t.regionsChange > 0 ? '#080' : t.regionsChange < 0 ? '#c00' : '#666';
+        leaderboardBody.appendChild(row);
+      });
+      if (leaderboardSince) leaderboardSince.textContent = 'Today: change since ' + new Date(stats.since).toLocaleString();
+    } catch (err) {
+      console.error('Failed to refresh leaderboard', err);
+    }
+  }
+
+  // Claims change in bursts; refresh at most once a second
+  function refreshLeaderboardSoon() {
+    if (leaderboardTimer) return;
+    leaderboardTimer = setTimeout(() => {
+      leaderboardTimer = null;
+      refreshLeaderboard();
+    }, 1000);
+  }
+
+  if (leaderboardBtn) leaderboardBtn.addEventListener('click', () => {
+    const show = leaderboardPanel.style.display === 'none';
+    leaderboardPanel.style.display = show ? 'block' : 'none';
+    if (show) refreshLeaderboard();
+  });
+
+  // Settings pushed over /claims/stream after an admin edits them
+  async function applySettings(next) {
+    if (next.mapImage !== settings.mapImage) {
+      if (!expectingMapChange) alert('The map image was changed. Reloading page...');
+      window.location.reload();
+      return;
+    }
+    // The adjacency and capture rules are read once at startup along with the region index
+    const rulesChanged = ['adjacencyRule', 'regionStrength'].some(key => JSON.stringify(next[key]) !== JSON.stringify(settings[key]));
+    if (rulesChanged) {
+      alert('The game rules were changed. Reloading page...');
+      window.location.reload();
+      return;
+    }
+    settings = next;
+    
+    // Our team may have been renamed
+    try {
+      const meRes = await fetch('/auth/me');
+      const me = await meRes.json();
+      if (me.authenticated) userTeam = me.team || null;
+    } catch (err) {
+      console.warn('Could not refresh team after settings change', err);
+    }
+    
+    const hasTeams = settings.Teams && Object.keys(settings.Teams).length;
+    if (teamSelect) teamSelect.style.display = hasTeams ? '' : 'none';
+    if (teamSwatch) teamSwatch.style.display = hasTeams ? '' : 'none';
+    populateTeamSelect();
+    refreshLeaderboard();
+    // claims of recolored or renamed teams come back through the normal sync
+    reloadSavedClaims();
+  }
+
   function getSelectedTeamColor() {
     if (selectedTeam === '__EMPTY__') return '#ffffff'; // white for remove
     return settings.Teams && settings.Teams[selectedTeam] && settings.Teams[selectedTeam].color;
@@ -360,8 +581,44 @@ document.addEventListener('DOMContentLoaded', async () => {
     const tempCtx = tempOverlay.getContext('2d');
     tempCtx.imageSmoothingEnabled = false;
 
-    // Cache claim IDs to avoid redundant flood fills
-    const renderedClaimIds = new Set();
+    // Persistent pixel buffer behind savedOverlay; regions are painted into it and flushed in one putImageData
+    const savedImageData = savedCtx.createImageData(savedOverlay.width, savedOverlay.height);
+    // scratch visited map for paintRegion (reset after each fill)
+    const regionVisited = new Uint8Array(offscreen.width * offscreen.height);
+
+    // Region anchors from the server's region index: region id -> {x, y} pixel inside that region
+    const regionAnchors = new Map();
+    // Reverse lookup: anchor pixel index -> region id (an anchor is its region's first pixel in scan order)
+    const anchorRegions = new Map();
+    // Adjacency rule from /regions: region id -> neighbouring region ids, and team -> starting region ids
+    const regionNeighbours = new Map();
+    let adjacencyRule = { enabled: false };
+    try {
+      const regionsRes = await fetch('/regions');
+      if (!regionsRes.ok) throw new Error('Server returned ' + regionsRes.status);
+      const regionsBody = await regionsRes.json();
+      if (regionsBody.width !== offscreen.width || regionsBody.height !== offscreen.height) {
+        console.warn('Region index size does not match map image', regionsBody.width, regionsBody.height);
+      }
+      regionsBody.regions.forEach(r => {
+        regionAnchors.set(r.id, { x: r.x, y: r.y });
+        anchorRegions.set(r.y * offscreen.width + r.x, r.id);
+        if (r.neighbours) regionNeighbours.set(r.id, r.neighbours);
+      });
+      if (regionsBody.adjacencyRule) adjacencyRule = regionsBody.adjacencyRule;
+    } catch (e) {
+      console.error('Failed to load region index', e);
+    }
+
+    // Live claims currently painted on savedOverlay, by id
+    const claimsById = new Map();
+    // While a replay is open savedOverlay shows a past map state instead of claimsById
+    let replayActive = false;
+    // Server revision that claimsById reflects (null until the first full load)
+    let claimsRevision = null;
+    // Capture progress on enemy-held regions (region strength mode): region id -> [{ team, points, updatedAt }]
+    const contestByRegion = new Map();
+    let captureRule = { enabled: !!(settings.regionStrength && settings.regionStrength.enabled) };
 
     function updatePendingCount() {
       const el = document.getElementById('pendingCount');
@@ -404,34 +661,6 @@ document.addEventListener('DOMContentLoaded', async () => {
       return { r: baseData[idx], g: baseData[idx+1], b: baseData[idx+2], a: baseData[idx+3] };
     }
 
-    // BFS search for nearest white pixel within maxRadius (returns {x,y} or null)
-    function findNearestWhitePixel(sx, sy, maxRadius = 50) {
-      const w = offscreen.width, h = offscreen.height;
-      if (sx < 0 || sy < 0 || sx >= w || sy >= h) return null;
-      const maxDist2 = maxRadius * maxRadius;
-      const visited = new Uint8Array(w * h);
-      const q = [];
-      q.push({ x: sx, y: sy });
-      visited[sy * w + sx] = 1;
-      let head = 0;
-      while (head < q.length) {
-        const p = q[head++];
-        const dx = p.x - sx, dy = p.y - sy;
-        if (dx*dx + dy*dy > maxDist2) continue;
-        if (isBaseWhiteXY(p.x, p.y)) return p;
-        // push neighbors (4-neighborhood)
-        const neighbors = [ {x:p.x, y:p.y-1}, {x:p.x, y:p.y+1}, {x:p.x-1, y:p.y}, {x:p.x+1, y:p.y} ];
-        for (const n of neighbors) {
-          if (n.x < 0 || n.y < 0 || n.x >= w || n.y >= h) continue;
-          const idx = n.y * w + n.x;
-          if (visited[idx]) continue;
-          visited[idx] = 1;
-          q.push(n);
-        }
-      }
-      return null;
-    }
-
     // flood fill overlay ctx starting at img coords using scanline algorithm (correct implementation)
     function floodFillOverlay(overlayCtx, startX, startY, fillRGBA) {
       const w = offscreen.width, h = offscreen.height;
@@ -523,6 +752,263 @@ document.addEventListener('DOMContentLoaded', async () => {
       return true;
     }
 
+    // Paint a whole region into savedImageData starting from its server-provided anchor.
+    // Regions are disjoint, so this overwrites whatever was painted there before. With stripeRGBA
+    // the region gets diagonal stripes of that color over the fill (contested regions).
+    // Returns the dirty rect, or null if the region is unknown. Call flushSavedOverlay() afterwards.
+    function paintRegion(regionId, fillRGBA, stripeRGBA) {
+      const anchor = regionAnchors.get(regionId);
+      if (!anchor || !isBaseWhiteXY(anchor.x, anchor.y)) return null;
+
+      const w = offscreen.width, h = offscreen.height;
+      const data = savedImageData.data;
+      const start = anchor.y * w + anchor.x;
+      const pixels = [start];
+      regionVisited[start] = 1;
+      let minX = w, minY = h, maxX = -1, maxY = -1;
+
+      for (let head = 0; head < pixels.length; head++) {
+        const i = pixels[head];
+        const x = i % w;
+        const y = (i - x) / w;
+        const idx = i * 4;
+        const rgba = stripeRGBA && ((x + y) >> 3) & 1 ? stripeRGBA : fillRGBA;
+        data[idx] = rgba[0];
+        data[idx + 1] = rgba[1];
+        data[idx + 2] = rgba[2];
+        data[idx + 3] = rgba[3];
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+
+        if (x > 0 && !regionVisited[i - 1] && isBaseWhiteXY(x - 1, y)) { regionVisited[i - 1] = 1; pixels.push(i - 1); }
+        if (x < w - 1 && !regionVisited[i + 1] && isBaseWhiteXY(x + 1, y)) { regionVisited[i + 1] = 1; pixels.push(i + 1); }
+        if (y > 0 && !regionVisited[i - w] && isBaseWhiteXY(x, y - 1)) { regionVisited[i - w] = 1; pixels.push(i - w); }
+        if (y < h - 1 && !regionVisited[i + w] && isBaseWhiteXY(x, y + 1)) { regionVisited[i + w] = 1; pixels.push(i + w); }
+      }
+      for (const i of pixels) regionVisited[i] = 0;
+
+      return { minX, minY, maxX, maxY };
+    }
+
+    // Copy savedImageData to savedOverlay (whole canvas, or just a dirty rect from paintRegion)
+    function flushSavedOverlay(rect) {
+      if (rect) {
+        savedCtx.putImageData(savedImageData, 0, 0, rect.minX, rect.minY, rect.maxX - rect.minX + 1, rect.maxY - rect.minY + 1);
+      } else {
+        savedCtx.putImageData(savedImageData, 0, 0);
+      }
+    }
+
+    function claimFillRGBA(c) {
+      // Override color to purple for filtered claims (moderators and admins)
+      let color = c.color || '#000000';
+      if (isModerator && filteredClaimIds.has(c.id)) {
+        color = '#800080'; // Purple
+      }
+      return hexToRgba(color, 255);
+    }
+
+    // Capture progress left after decay (mirrors decayedPoints in server.js)
+    function contestPoints(entry, now = Date.now()) {
+      if (!captureRule.decayMinutes) return entry.points;
+      const elapsed = now - Date.parse(entry.updatedAt);
+      return Math.max(0, entry.points - Math.floor(elapsed / (captureRule.decayMinutes * 60 * 1000)));
+    }
+
+    // Strongest capture attempt by another team on a region held by owner, or null
+    function regionContest(regionId, owner) {
+      if (!owner) return null;
+      let best = null;
+      for (const entry of contestByRegion.get(regionId) || []) {
+        const points = contestPoints(entry);
+        if (entry.team !== owner.team && points > 0 && (!best || points > best.points)) {
+          best = { team: entry.team, points };
+        }
+      }
+      return best;
+    }
+
+    function contestStripeRGBA(regionId, owner) {
+      const contest = regionContest(regionId, owner);
+      if (!contest) return null;
+      const color = settings.Teams && settings.Teams[contest.team] && settings.Teams[contest.team].color;
+      return hexToRgba(color || '#000000', 255);
+    }
+
+    // Store capture progress entries and repaint their regions
+    function applyContestChanges(entries) {
+      const touched = new Set();
+      for (const e of entries) {
+        const list = (contestByRegion.get(e.regionId) || []).filter(x => x.team !== e.team);
+        list.push({ team: e.team, points: e.points, updatedAt: e.updatedAt });
+        contestByRegion.set(e.regionId, list);
+        touched.add(e.regionId);
+      }
+      touched.forEach(repaintRegion);
+    }
+
+    async function reloadContested() {
+      if (!captureRule.enabled) return;
+      try {
+        const res = await fetch('/regions/contested');
+        if (!res.ok) throw new Error('Server returned ' + res.status);
+        const body = await res.json();
+        captureRule = { enabled: body.enabled, claimsToCapture: body.claimsToCapture, decayMinutes: body.decayMinutes };
+        const touched = new Set(contestByRegion.keys());
+        contestByRegion.clear();
+        applyContestChanges(body.contested || []);
+        touched.forEach(id => { if (!contestByRegion.has(id)) repaintRegion(id); });
+      } catch (e) {
+        console.error('Failed to load capture progress', e);
+      }
+    }
+
+    // Repaint one region from the newest live claim on it, or clear it if none is left
+    function repaintRegion(regionId) {
+      if (replayActive) return; // replay owns savedOverlay until it is closed
+      const top = regionOwner(regionId);
+      const rect = paintRegion(regionId, top ? claimFillRGBA(top) : [0, 0, 0, 0], contestStripeRGBA(regionId, top));
+      if (rect) flushSavedOverlay(rect);
+    }
+
+    // Patch savedOverlay with changed/new claims and deleted ones, repainting only the regions they touch
+    function applyClaimChanges(upserts, deletes) {
+      const touched = new Set();
+      for (const c of deletes) {
+        const known = claimsById.get(c.id);
+        if (known && known.region_id) touched.add(known.region_id);
+        if (c.region_id) touched.add(c.region_id);
+        claimsById.delete(c.id);
+      }
+      for (const c of upserts) {
+        // a claim can move region when the map is re-indexed
+        const known = claimsById.get(c.id);
+        if (known && known.region_id) touched.add(known.region_id);
+        if (c.region_id) touched.add(c.region_id);
+        claimsById.set(c.id, c);
+        // the server drops capture progress when a region changes hands
+        contestByRegion.delete(c.region_id);
+      }
+      touched.forEach(repaintRegion);
+    }
+
+    // Apply a claim event from /claims/stream. Events are stamped with the revision they were
+    // committed at; if any were missed, catch up with an incremental fetch instead.
+    function applyClaimEvent(type, data) {
+      if (claimsRevision === null) return; // initial load still in progress
+      if (data.revision > claimsRevision + 1) {
+        reloadSavedClaims();
+        return;
+      }
+      if (type === 'cleared') {
+        contestByRegion.clear();
+        repaintAllClaims([]);
+      } else if (type === 'created') {
+        applyClaimChanges(data.claims || [], []);
+      } else {
+        applyClaimChanges([], data.claims || []);
+      }
+      claimsRevision = Math.max(claimsRevision, data.revision);
+      draw();
+      refreshLeaderboardSoon();
+    }
+
+    // The pixel itself if it is white, else the nearest white pixel within maxRadius, picked the
+    // way the server's findRegionNear picks it so a claim lands where its preview was painted.
+    // Returns {x, y} or null.
+    function nearestWhitePixel(imgX, imgY, maxRadius = 20) {
+      const sx = Math.floor(imgX), sy = Math.floor(imgY);
+      if (isBaseWhiteXY(sx, sy)) return { x: sx, y: sy };
+      let bestDist2 = maxRadius * maxRadius + 1, found = null;
+      for (let dy = -maxRadius; dy <= maxRadius; dy++) {
+        for (let dx = -maxRadius; dx <= maxRadius; dx++) {
+          const d2 = dx * dx + dy * dy;
+          if (d2 < bestDist2 && isBaseWhiteXY(sx + dx, sy + dy)) {
+            bestDist2 = d2;
+            found = { x: sx + dx, y: sy + dy };
+          }
+        }
+      }
+      return found;
+    }
+
+    // Region id under an image pixel (or the nearest white pixel within 20px, like the server),
+    // found by flooding the region to its first pixel in scan order. 0 if none.
+    function regionIdNear(imgX, imgY) {
+      const w = offscreen.width, h = offscreen.height;
+      const seed = nearestWhitePixel(imgX, imgY);
+      if (!seed) return 0;
+      const sx = seed.x, sy = seed.y;
+
+      const start = sy * w + sx;
+      const pixels = [start];
+      regionVisited[start] = 1;
+      let first = start;
+      for (let head = 0; head < pixels.length; head++) {
+        const i = pixels[head];
+        const x = i % w;
+        const y = (i - x) / w;
+        if (i < first) first = i;
+        if (x > 0 && !regionVisited[i - 1] && isBaseWhiteXY(x - 1, y)) { regionVisited[i - 1] = 1; pixels.push(i - 1); }
+        if (x < w - 1 && !regionVisited[i + 1] && isBaseWhiteXY(x + 1, y)) { regionVisited[i + 1] = 1; pixels.push(i + 1); }
+        if (y > 0 && !regionVisited[i - w] && isBaseWhiteXY(x, y - 1)) { regionVisited[i - w] = 1; pixels.push(i - w); }
+        if (y < h - 1 && !regionVisited[i + w] && isBaseWhiteXY(x, y + 1)) { regionVisited[i + w] = 1; pixels.push(i + w); }
+      }
+      for (const i of pixels) regionVisited[i] = 0;
+      return anchorRegions.get(first) || 0;
+    }
+
+    // Newest live claim on a region, or null
+    function regionOwner(regionId) {
+      let top = null;
+      for (const c of claimsById.values()) {
+        if (c.region_id === regionId && (!top || c.id > top.id)) top = c;
+      }
+      return top;
+    }
+
+    // Milliseconds of protection left on a claim ("claimProtectionMinutes" in ServerSettings.json)
+    function protectionRemainingMs(claim) {
+      const minutes = Number(settings.claimProtectionMinutes) || 0;
+      const start = claim && (claim.protected_from || claim.created_at);
+      if (minutes <= 0 || !start) return 0;
+      return Math.max(0, Date.parse(start) + minutes * 60 * 1000 - Date.now());
+    }
+
+    function formatRemaining(ms) {
+      const totalSeconds = Math.ceil(ms / 1000);
+      const m = Math.floor(totalSeconds / 60);
+      const sec = totalSeconds % 60;
+      return m ? `${m}m ${sec}s` : `${sec}s`;
+    }
+
+    // Client-side copy of the server's adjacency check: a region can be claimed if the team
+    // already holds it or a neighbour (counting pending claims), or it is a starting region.
+    // Returns null if allowed, otherwise the reason.
+    function adjacencyRejection(regionId) {
+      if (!adjacencyRule.enabled || isAdmin || selectedTeam === '__EMPTY__') return null;
+      if (!regionId) return 'That spot is not inside a region.';
+
+      const owners = new Map();
+      for (const c of claimsById.values()) {
+        const top = owners.get(c.region_id);
+        if (!top || c.id > top.id) owners.set(c.region_id, c);
+      }
+      const held = new Set();
+      owners.forEach((c, id) => { if (c.team === userTeam) held.add(id); });
+      pendingClaims.forEach(p => { if (p.regionId && p.team !== '__EMPTY__') held.add(p.regionId); });
+      const starting = (adjacencyRule.startingRegions && adjacencyRule.startingRegions[userTeam]) || [];
+
+      if (held.has(regionId) || starting.includes(regionId)) return null;
+      if (held.size === 0) {
+        return starting.length ? `${userTeam} has to start from one of its starting regions.` : null;
+      }
+      if ((regionNeighbours.get(regionId) || []).some(n => held.has(n))) return null;
+      return `You can only claim regions bordering your team's territory (${userTeam}).`;
+    }
+
     function addPendingClaim(imgX, imgY) {
       // Only warn if trying to add way more than available (prevents abuse)
       // The actual net cost will be validated at confirmation time
@@ -536,17 +1022,32 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
       }
       
+      const checkRegion = adjacencyRule.enabled || (!isAdmin && Number(settings.claimProtectionMinutes) > 0);
+      const regionId = checkRegion ? regionIdNear(imgX, imgY) : 0;
+      const rejection = adjacencyRejection(regionId);
+      if (rejection) {
+        alert(rejection);
+        return;
+      }
+      
+      // Other teams' recent captures are protected (the server enforces this too)
+      const owner = regionId ? regionOwner(regionId) : null;
+      if (!isAdmin && selectedTeam !== '__EMPTY__' && owner && owner.team !== selectedTeam) {
+        const remaining = protectionRemainingMs(owner);
+        if (remaining > 0) {
+          alert(`This region was recently captured by ${owner.team} and is protected for another ${formatRemaining(remaining)}.`);
+          return;
+        }
+      }
+      
       const team = selectedTeam || null;
       const color = getSelectedTeamColor();
-      const claim = { imgX: Math.round(imgX), imgY: Math.round(imgY), date: new Date().toISOString(), team, color };
+      const claim = { imgX: Math.round(imgX), imgY: Math.round(imgY), date: new Date().toISOString(), team, color, regionId };
       pendingClaims.push(claim);
       
-      const fillColor = hexToRgba(color || '#cccccc', 128);
-      let ok = floodFillOverlay(tempCtx, claim.imgX, claim.imgY, fillColor);
-      if (!ok) {
-        const found = findNearestWhitePixel(claim.imgX, claim.imgY, 20);
-        if (found) ok = floodFillOverlay(tempCtx, found.x, found.y, fillColor);
-      }
+      // A click on a border still claims the nearest region on the server, so preview that one
+      const seed = nearestWhitePixel(claim.imgX, claim.imgY);
+      if (seed) floodFillOverlay(tempCtx, seed.x, seed.y, hexToRgba(color || '#cccccc', 128));
       updatePendingCount();
       draw();
     }
@@ -555,61 +1056,63 @@ document.addEventListener('DOMContentLoaded', async () => {
       pendingClaims.length = 0;
       if (tempCtx) tempCtx.clearRect(0, 0, tempOverlay.width, tempOverlay.height);
       
-      // Clear all composites and force rebuild of saved claims only
+      // Clear pending fill composites; saved claims live in savedOverlay and are kept
       overlayComposites.length = 0;
-      renderedClaimIds.clear();
       
       updatePendingCount();
+      draw();
+    }
+
+    // Clear savedOverlay and paint a complete claim listing
+    function repaintAllClaims(claims) {
+      claimsById.clear();
+      claims.forEach(c => claimsById.set(c.id, c));
+      if (replayActive) return; // repainted when the replay is closed
       
-      // Rebuild saved claim composites
-      reloadSavedClaims();
+      savedImageData.data.fill(0);
+      debugSeeds.length = 0;
+      // Paint oldest first so the newest claim on a region is the one left visible
+      claims.slice().sort((a, b) => a.id - b.id).forEach(c => {
+        if (c.region_id) paintRegion(c.region_id, claimFillRGBA(c), contestStripeRGBA(c.region_id, c));
+      });
+      flushSavedOverlay();
     }
 
+    // First load fetches every claim; afterwards only what changed since claimsRevision
     reloadSavedClaims = async function() {
-      const loadingIndicator = document.getElementById('loadingIndicator');
-      if (loadingIndicator) loadingIndicator.style.display = 'block';
-      
+      await reloadContested();
+      if (claimsRevision === null) {
+        const loadingIndicator = document.getElementById('loadingIndicator');
+        if (loadingIndicator) loadingIndicator.style.display = 'block';
+        try {
+          const res = await fetch('/claims');
+          if (!res.ok) throw new Error('Failed to fetch claims: ' + res.status);
+          const body = await res.json();
+          repaintAllClaims(body.claims || []);
+          claimsRevision = body.revision;
+          draw();
+        } catch (e) {
+          console.error('Failed to reload saved claims', e);
+        } finally {
+          if (loadingIndicator) loadingIndicator.style.display = 'none';
+        }
+        return;
+      }
+
       try {
-        const res = await fetch('/claims');
+        const res = await fetch('/claims?since=' + claimsRevision);
         if (!res.ok) throw new Error('Failed to fetch claims: ' + res.status);
         const body = await res.json();
-        const claims = body.claims || [];
-        if (typeof lastClaimCount !== 'undefined') lastClaimCount = claims.length;
-        
-        // Build set of current claim IDs
-        const currentIds = new Set(claims.map(c => c.id));
-        
-        // Only clear and redraw if claims have changed
-        const idsChanged = currentIds.size !== renderedClaimIds.size || 
-                          ![...currentIds].every(id => renderedClaimIds.has(id));
-        
-        if (idsChanged) {
-          savedCtx.clearRect(0, 0, savedOverlay.width, savedOverlay.height);
-          overlayComposites.length = 0;
-          debugSeeds.length = 0;
-          renderedClaimIds.clear();
-          
-          claims.forEach(c => {
-            // Override color to purple for filtered claims (admin only)
-            let color = c.color || '#000000';
-            if (isAdmin && filteredClaimIds.has(c.id)) {
-              color = '#800080'; // Purple
-            }
-            const rgba = hexToRgba(color, 255);
-            const seedX = Math.round(c.x), seedY = Math.round(c.y);
-            let ok = floodFillOverlay(savedCtx, seedX, seedY, rgba);
-            if (!ok) {
-              const found = findNearestWhitePixel(seedX, seedY, 80);
-              if (found) ok = floodFillOverlay(savedCtx, found.x, found.y, rgba);
-            }
-            if (ok) renderedClaimIds.add(c.id);
-          });
+        if (body.reset) {
+          repaintAllClaims(body.claims || []);
+        } else {
+          applyClaimChanges(body.claims || [], body.deleted || []);
         }
+        if (body.revision !== claimsRevision) refreshLeaderboardSoon();
+        claimsRevision = body.revision;
         draw();
       } catch (e) {
         console.error('Failed to reload saved claims', e);
-      } finally {
-        if (loadingIndicator) loadingIndicator.style.display = 'none';
       }
     }
 
@@ -617,131 +1120,98 @@ document.addEventListener('DOMContentLoaded', async () => {
       if (!pendingClaims.length) return;
       
       try {
-        let existing = [];
-        try {
-          const resExisting = await fetch('/claims');
-          if (resExisting.ok) {
-            const body = await resExisting.json();
-            existing = body.claims || [];
+        // The server works out which existing claims each pending claim replaces,
+        // charges the net cost and applies everything in one transaction
+        const res = await fetch('/claims', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            claims: pendingClaims.map(c => c.team === '__EMPTY__'
+              ? { imgX: c.imgX, imgY: c.imgY, remove: true }
+              : c)
+          })
+        });
+        
+        if (!res.ok) {
+          const errorData = await res.json();
+          if (res.status === 403 && errorData.error.includes('limit')) {
+            alert(`Cannot confirm. Net cost is ${errorData.cost} claims but you only have ${errorData.remaining || 0} remaining out of ${errorData.limit}.`);
           } else {
-            console.warn('Could not fetch existing claims before confirm:', resExisting.status);
+            throw new Error(errorData.error || 'Server returned ' + res.status);
           }
-        } catch (e) {
-          console.warn('Could not fetch existing claims before confirm', e);
+          return;
         }
-
-        const idsToDelete = new Set();
-        let ownClaimsToDelete = 0;
         
-        try {
-          // Get current user's ID from session
-          const meResponse = await fetch('/auth/me');
-          let currentUserId = null;
-          if (meResponse.ok) {
-            const meData = await meResponse.json();
-            // We need to match by username since we have that
-            for (const c of existing) {
-              const sx = Math.round(c.x), sy = Math.round(c.y);
-              if (sx < 0 || sy < 0 || sx >= tempOverlay.width || sy >= tempOverlay.height) continue;
-              try {
-                const d = tempCtx.getImageData(sx, sy, 1, 1).data;
-                if (d[3] > 0) {
-                  idsToDelete.add(c.id);
-                  // Check if this is the current user's claim
-                  if (c.player === meData.username) {
-                    ownClaimsToDelete++;
-                  }
-                }
-              } catch (e) {}
-            }
-          }
-        } catch (e) {
-          console.warn('Error while checking overlaps on temp overlay', e);
+        const result = await res.json();
+        if (result.denied > 0) {
+          alert(`${result.denied} claim(s) were not removed because you can only remove your own claims.`);
         }
-
-        // Calculate net claim cost (new claims - own deleted claims)
-        const nonEmptyClaims = pendingClaims.filter(c => c.team !== '__EMPTY__');
-        const netClaimCost = Math.max(0, nonEmptyClaims.length - ownClaimsToDelete);
         
-        // Check if net claim cost exceeds limit (unless admin)
-        if (!isAdmin && userClaimLimit > 0 && netClaimCost > userClaimsRemaining) {
-          alert(`Cannot confirm. Net cost is ${netClaimCost} claims (${nonEmptyClaims.length} new - ${ownClaimsToDelete} replaced) but you only have ${userClaimsRemaining} remaining.`);
-          return;
-        }
-
-        if (idsToDelete.size) {
-          try {
-            const delRes = await fetch('/claims/delete', {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({ ids: Array.from(idsToDelete) })
-            });
-            if (!delRes.ok) {
-              console.warn('Failed to delete overlapping claims', delRes.status);
-            } else {
-              // Refresh claim counts if claims were returned
-              const delData = await delRes.json();
-              if (delData.claimsReturned > 0) {
-                const meResponse = await fetch('/auth/me');
-                if (meResponse.ok) {
-                  const meData = await meResponse.json();
-                  userClaimsUsed = meData.claimsUsedToday || 0;
-                  userClaimLimit = meData.dailyClaimLimit || 0;
-                  userClaimsRemaining = meData.claimsRemaining || 0;
-                  updateClaimsInfo(meData);
-                }
-              }
-            }
-          } catch (e) {
-            console.warn('Failed to delete overlapping claims', e);
-          }
-        }
-
-        if (nonEmptyClaims.length > 0) {
-          const res = await fetch('/claims', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ claims: nonEmptyClaims })
-          });
-          
-          if (!res.ok) {
-            const errorData = await res.json();
-            if (res.status === 403 && errorData.error.includes('limit')) {
-              alert(`Daily claim limit reached! You have ${errorData.remaining || 0} claims remaining out of ${errorData.limit}.`);
-            } else {
-              throw new Error('Server returned ' + res.status);
-            }
-            return;
-          }
-          
-          // Update claims info after successful submission
-          const meResponse = await fetch('/auth/me');
-          if (meResponse.ok) {
-            const meData = await meResponse.json();
-            userClaimsUsed = meData.claimsUsedToday || 0;
-            userClaimLimit = meData.dailyClaimLimit || 0;
-            userClaimsRemaining = meData.claimsRemaining || 0;
-            updateClaimsInfo(meData);
-          }
-        }
-
+        await refreshClaimsInfo();
         resetPendingClaims();
         await reloadSavedClaims();
+        offerUndo(result.undoUntil);
       } catch (err) {
         console.error('Failed to save claims', err);
         alert('Failed to save claims: ' + err.message);
       }
     }
 
+    // Update claims info after claims change
+    async function refreshClaimsInfo() {
+      const meResponse = await fetch('/auth/me');
+      if (meResponse.ok) {
+        const meData = await meResponse.json();
+        userClaimsUsed = meData.claimsUsedToday || 0;
+        userClaimLimit = meData.dailyClaimLimit || 0;
+        userClaimsRemaining = meData.claimsRemaining || 0;
+        updateClaimsInfo(meData);
+      }
+    }
+
+    // The last confirmation can be undone until the server's undo window closes
+    const undoBtn = document.getElementById('undoBtn');
+    let undoTimer = null;
+
+    function offerUndo(undoUntil) {
+      clearTimeout(undoTimer);
+      const remaining = undoUntil ? Date.parse(undoUntil) - Date.now() : 0;
+      undoBtn.style.display = remaining > 0 ? '' : 'none';
+      if (remaining > 0) undoTimer = setTimeout(() => offerUndo(null), remaining);
+    }
+
+    async function undoLastConfirm() {
+      undoBtn.disabled = true;
+      try {
+        const res = await fetch('/claims/undo', { method: 'POST' });
+        const result = await res.json();
+        if (!res.ok) {
+          offerUndo(null);
+          alert('Cannot undo: ' + (result.error || 'Server returned ' + res.status));
+          return;
+        }
+        offerUndo(null);
+        await refreshClaimsInfo();
+        await reloadSavedClaims();
+      } catch (err) {
+        console.error('Failed to undo claims', err);
+        alert('Failed to undo claims: ' + err.message);
+      } finally {
+        undoBtn.disabled = false;
+      }
+    }
+
     const confirmBtn = document.getElementById('confirmBtn');
     const cancelBtn = document.getElementById('cancelBtn');
     const clearDbBtn = document.getElementById('clearDbBtn');
     const exportBtn = document.getElementById('exportBtn');
     if (confirmBtn) confirmBtn.addEventListener('click', confirmPendingClaims);
     if (cancelBtn) cancelBtn.addEventListener('click', resetPendingClaims);
+    if (undoBtn) undoBtn.addEventListener('click', undoLastConfirm);
 
-    if (exportBtn) exportBtn.addEventListener('click', () => {
-      try {
+    // Composite the base map and savedOverlay into a PNG download
+    function exportMapPNG(filename) {
+      return new Promise((resolve, reject) => {
         const exportCanvas = document.createElement('canvas');
         exportCanvas.width = img.width;
         exportCanvas.height = img.height;
@@ -755,49 +1225,203 @@ document.addEventListener('DOMContentLoaded', async () => {
                 
         // Convert to PNG and download
         exportCanvas.toBlob(blob => {
+          if (!blob) return reject(new Error('Could not encode PNG'));
           const url = URL.createObjectURL(blob);
           const a = document.createElement('a');
           a.href = url;
-          a.download = `map-with-claims-${Date.now()}.png`;
+          a.download = filename;
           a.click();
           URL.revokeObjectURL(url);
+          resolve();
         }, 'image/png');
+      });
+    }
+
+    if (exportBtn) exportBtn.addEventListener('click', async () => {
+      try {
+        await exportMapPNG(`map-with-claims-${Date.now()}.png`);
       } catch (err) {
         console.error('Failed to export', err);
         alert('Failed to export: ' + err.message);
       }
     });
 
-    const uploadMapBtn = document.getElementById('uploadMapBtn');
-    if (uploadMapBtn) uploadMapBtn.addEventListener('click', async () => {
-      const input = document.createElement('input');
-      input.type = 'file';
-      input.accept = 'image/png';
-      input.onchange = async (e) => {
-        const file = e.target.files[0];
-        if (!file) return;
-        
-        const formData = new FormData();
-        formData.append('mapImage', file);
-        
-        try {
-          const res = await fetch('/upload-map', {
-            method: 'POST',
-            body: formData
-          });
-          
-          if (!res.ok) {
-            const body = await res.json();
-            throw new Error(body.error || 'Server returned ' + res.status);
-          }
-          
-          alert('Map uploaded successfully. Reloading page...');
-          window.location.reload();
-        } catch (err) {
-          console.error('Failed to upload map', err);
-          alert('Failed to upload map: ' + err.message);
-        }
-      };
+    // ----- Replay: redraw savedOverlay as the map stood at any moment -----
+    const replayBtn = document.getElementById('replayBtn');
+    const replayPanel = document.getElementById('replayPanel');
+    const replayPlayBtn = document.getElementById('replayPlayBtn');
+    const replaySlider = document.getElementById('replaySlider');
+    const replayTimeLabel = document.getElementById('replayTime');
+    const replayExportBtn = document.getElementById('replayExportBtn');
+    const replayCloseBtn = document.getElementById('replayCloseBtn');
+    const REPLAY_STEPS = 1000; // slider resolution
+    
+    let replayHistory = [];               // every claim with createdMs/endedMs
+    let replayByRegion = new Map();       // region id -> history claims on it
+    let replayStart = 0, replayEnd = 0;   // timeline bounds (ms)
+    let replayTime = null;                // time currently painted (ms), null before first paint
+    let replayTimer = null;
+
+    // Newest claim on a region that was live at time t
+    function replayClaimAt(regionId, t) {
+      let top = null;
+      for (const c of replayByRegion.get(regionId) || []) {
+        if (c.createdMs <= t && (c.endedMs === null || c.endedMs > t) && (!top || c.id > top.id)) top = c;
+      }
+      return top;
+    }
+
+    // Paint the map state at time t, repainting only regions that changed since the last frame
+    function renderReplayAt(t) {
+      let regions;
+      if (replayTime === null) {
+        savedImageData.data.fill(0);
+        regions = new Set(replayByRegion.keys());
+      } else {
+        const lo = Math.min(replayTime, t), hi = Math.max(replayTime, t);
+        regions = new Set();
+        for (const c of replayHistory) {
+          const changed = (c.createdMs > lo && c.createdMs <= hi) || (c.endedMs !== null && c.endedMs > lo && c.endedMs <= hi);
+          if (changed) regions.add(c.region_id);
+        }
+      }
+      
+      regions.forEach(regionId => {
+        const c = replayClaimAt(regionId, t);
+        paintRegion(regionId, c ? hexToRgba(c.color || '#000000', 255) : [0, 0, 0, 0]);
+      });
+      if (regions.size) flushSavedOverlay();
+      
+      replayTime = t;
+      if (replayTimeLabel) replayTimeLabel.textContent = new Date(t).toLocaleString();
+      draw();
+    }
+
+    function replaySliderTime() {
+      return replayStart + (replayEnd - replayStart) * (Number(replaySlider.value) / REPLAY_STEPS);
+    }
+
+    function stopReplayPlayback() {
+      if (replayTimer) {
+        clearInterval(replayTimer);
+        replayTimer = null;
+      }
+      if (replayPlayBtn) replayPlayBtn.textContent = 'Play';
+    }
+
+    async function openReplay() {
+      try {
+        const res = await fetch('/claims/history');
+        if (!res.ok) throw new Error('Server returned ' + res.status);
+        const body = await res.json();
+        
+        replayHistory = (body.claims || []).filter(c => c.region_id && c.created_at).map(c => ({
+          ...c,
+          createdMs: Date.parse(c.created_at),
+          endedMs: c.ended_at ? Date.parse(c.ended_at) : null
+        }));
+        if (!replayHistory.length) {
+          alert('No claims to replay yet.');
+          return;
+        }
+        replayByRegion = new Map();
+        replayHistory.forEach(c => {
+          if (!replayByRegion.has(c.region_id)) replayByRegion.set(c.region_id, []);
+          replayByRegion.get(c.region_id).push(c);
+        });
+        replayStart = replayHistory[0].createdMs;
+        replayEnd = Math.max(replayStart + 1, Date.parse(body.serverTime) || Date.now());
+        
+        resetPendingClaims();
+        replayActive = true;
+        replayTime = null;
+        replaySlider.max = REPLAY_STEPS;
+        replaySlider.value = REPLAY_STEPS;
+        replayPanel.style.display = 'block';
+        renderReplayAt(replaySliderTime());
+      } catch (err) {
+        console.error('Failed to load claim history', err);
+        alert('Failed to load claim history: ' + err.message);
+      }
+    }
+
+    function closeReplay() {
+      stopReplayPlayback();
+      replayActive = false;
+      replayTime = null;
+      replayPanel.style.display = 'none';
+      // back to the live map
+      repaintAllClaims([...claimsById.values()]);
+      draw();
+    }
+
+    if (replayBtn) replayBtn.addEventListener('click', () => {
+      if (replayActive) closeReplay();
+      else openReplay();
+    });
+    if (replayCloseBtn) replayCloseBtn.addEventListener('click', closeReplay);
+    if (replaySlider) replaySlider.addEventListener('input', () => {
+      stopReplayPlayback();
+      renderReplayAt(replaySliderTime());
+    });
+    if (replayPlayBtn) replayPlayBtn.addEventListener('click', () => {
+      if (replayTimer) {
+        stopReplayPlayback();
+        return;
+      }
+      if (Number(replaySlider.value) >= REPLAY_STEPS) replaySlider.value = 0;
+      replayPlayBtn.textContent = 'Pause';
+      replayTimer = setInterval(() => {
+        const next = Math.min(REPLAY_STEPS, Number(replaySlider.value) + 5);
+        replaySlider.value = next;
+        renderReplayAt(replaySliderTime());
+        if (next >= REPLAY_STEPS) stopReplayPlayback();
+      }, 100);
+    });
+    if (replayExportBtn) replayExportBtn.addEventListener('click', async () => {
+      const frames = parseInt(prompt('How many frames to export?', '24'));
+      if (!Number.isInteger(frames) || frames < 2) return;
+      stopReplayPlayback();
+      try {
+        // Frames are evenly spaced across the whole timeline and downloaded through the Export PNG path
+        for (let i = 0; i < frames; i++) {
+          replaySlider.value = Math.round(REPLAY_STEPS * i / (frames - 1));
+          renderReplayAt(replaySliderTime());
+          await exportMapPNG(`map-replay-${String(i + 1).padStart(3, '0')}.png`);
+        }
+      } catch (err) {
+        console.error('Failed to export replay frames', err);
+        alert('Failed to export replay frames: ' + err.message);
+      }
+    });
+
+    const uploadMapBtn = document.getElementById('uploadMapBtn');
+    if (uploadMapBtn) uploadMapBtn.addEventListener('click', async () => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = 'image/png';
+      input.onchange = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        
+        const formData = new FormData();
+        formData.append('mapImage', file);
+        
+        try {
+          // Stored as a new map version first; it only goes live once the report is accepted
+          const res = await fetch('/admin/maps', {
+            method: 'POST',
+            body: formData
+          });
+          const body = await res.json();
+          if (!res.ok) throw new Error(body.error || 'Server returned ' + res.status);
+          
+          await reviewAndActivateMapVersion(body.version, body.report);
+        } catch (err) {
+          console.error('Failed to upload map', err);
+          alert('Failed to upload map: ' + err.message);
+        }
+      };
       input.click();
     });
 
@@ -813,11 +1437,13 @@ document.addEventListener('DOMContentLoaded', async () => {
           throw new Error(body.error || 'Server returned ' + res.status);
         }
         
-        savedCtx.clearRect(0, 0, savedOverlay.width, savedOverlay.height);
+        savedImageData.data.fill(0);
+        flushSavedOverlay();
         tempCtx.clearRect(0, 0, tempOverlay.width, tempOverlay.height);
         overlayComposites.length = 0;
         debugSeeds.length = 0;
-        renderedClaimIds.clear();
+        claimsById.clear();
+        claimsRevision = null;
         await reloadSavedClaims();
         alert('Database cleared');
       } catch (err) {
@@ -826,7 +1452,43 @@ document.addEventListener('DOMContentLoaded', async () => {
       }
     });
 
+    const hoverInfo = document.getElementById('hoverInfo');
+    let hoverFrame = null;
+    updateHoverInfo = (clientX, clientY) => {
+      if (!hoverInfo) return;
+      if (clientX === null) {
+        hoverInfo.style.display = 'none';
+        return;
+      }
+      if (hoverFrame) return;
+      // at most one region lookup per animation frame
+      hoverFrame = requestAnimationFrame(() => {
+        hoverFrame = null;
+        const { imgX, imgY } = screenToImage(clientX, clientY);
+        const x = Math.floor(imgX), y = Math.floor(imgY);
+        const owner = !replayActive && isBaseWhiteXY(x, y) ? regionOwner(regionIdNear(x, y)) : null;
+        if (!owner) {
+          hoverInfo.style.display = 'none';
+          return;
+        }
+        const remaining = protectionRemainingMs(owner);
+        const contest = regionContest(owner.region_id, owner);
+        hoverInfo.textContent = `${owner.team || 'No team'} (${owner.player || 'unknown'})` +
+          (remaining > 0 ? ` - protected for ${formatRemaining(remaining)}` : '') +
+          (contest ? ` - contested by ${contest.team} (${contest.points}/${captureRule.claimsToCapture})` : '');
+        hoverInfo.style.left = (clientX + 14) + 'px';
+        hoverInfo.style.top = (clientY + 14) + 'px';
+        hoverInfo.style.display = 'block';
+      });
+    };
+
+    repaintSavedClaims = () => {
+      repaintAllClaims(Array.from(claimsById.values()));
+      draw();
+    };
+
     claimRegion = (imgX, imgY) => {
+      if (replayActive) return; // the replay shows a past map state; nothing to claim there
       if (isBaseWhiteXY(Math.floor(imgX), Math.floor(imgY))) {
         addPendingClaim(imgX, imgY);
       }
@@ -835,19 +1497,74 @@ document.addEventListener('DOMContentLoaded', async () => {
     draw();
     reloadSavedClaims();
     
-    let lastClaimCount = 0;
-    setInterval(async () => {
-      try {
-        const res = await fetch('/claims');
-        if (!res.ok) return;
-        const body = await res.json();
-        const claims = body.claims || [];
-        if (claims.length !== lastClaimCount) {
-          lastClaimCount = claims.length;
-          await reloadSavedClaims();
+    // Live updates: apply claim events pushed over /claims/stream.
+    // While the stream is down, fall back to polling GET /claims.
+    let claimsPollInterval = null;
+    function startClaimsPolling() {
+      if (claimsPollInterval) return;
+      claimsPollInterval = setInterval(() => { reloadSavedClaims(); }, 3000);
+    }
+    function stopClaimsPolling() {
+      if (!claimsPollInterval) return;
+      clearInterval(claimsPollInterval);
+      claimsPollInterval = null;
+    }
+
+    if (window.EventSource) {
+      const claimStream = new EventSource('/claims/stream');
+      ['created', 'deleted', 'cleared'].forEach(type => {
+        claimStream.addEventListener(type, (e) => {
+          try {
+            applyClaimEvent(type, JSON.parse(e.data));
+          } catch (err) {
+            console.error('Failed to apply claim event', type, err);
+          }
+        });
+      });
+      claimStream.addEventListener('settings', (e) => {
+        try {
+          applySettings(JSON.parse(e.data).settings);
+        } catch (err) {
+          console.error('Failed to apply settings', err);
+        }
+      });
+      claimStream.addEventListener('contested', (e) => {
+        try {
+          applyContestChanges(JSON.parse(e.data).regions || []);
+          draw();
+        } catch (err) {
+          console.error('Failed to apply capture progress', err);
+        }
+      });
+      claimStream.addEventListener('open', () => {
+        // catch up on anything missed while disconnected
+        if (claimsPollInterval) {
+          stopClaimsPolling();
+          reloadSavedClaims();
         }
-      } catch (e) {}
-    }, 3000);
+      });
+      claimStream.addEventListener('error', () => {
+        // EventSource keeps retrying on its own; poll until it reconnects
+        startClaimsPolling();
+      });
+    } else {
+      startClaimsPolling();
+    }
+    
+    // Capture progress decays; drop stripes from regions whose progress has run out
+    if (captureRule.enabled) {
+      setInterval(() => {
+        let changed = false;
+        contestByRegion.forEach((list, regionId) => {
+          const live = list.filter(entry => contestPoints(entry) > 0);
+          if (live.length === list.length) return;
+          if (live.length) contestByRegion.set(regionId, live); else contestByRegion.delete(regionId);
+          repaintRegion(regionId);
+          changed = true;
+        });
+        if (changed) draw();
+      }, 30000);
+    }
     
     // Listen for manual claim updates (e.g., admin clearing claims)
     window.addEventListener('claimsUpdated', async () => {
@@ -910,6 +1627,11 @@ document.addEventListener('DOMContentLoaded', async () => {
     canvas.style.cursor = 'grabbing';
   });
 
+  canvas.addEventListener('mousemove', (e) => {
+    updateHoverInfo(isDragging ? null : e.clientX, e.clientY);
+  });
+  canvas.addEventListener('mouseleave', () => updateHoverInfo(null));
+
   window.addEventListener('mousemove', (e) => {
     if (!isDragging) return;
     const dx = e.clientX - dragStartX;
@@ -1021,24 +1743,195 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   });
 
-  // Logout handler
+  // Logout handlers; Logout All also signs out the account's other sessions
+  async function logout(endpoint) {
+    try {
+      const res = await fetch(endpoint, { method: 'POST' });
+      if (!res.ok) {
+        const body = await res.json();
+        throw new Error(body.error || 'Server returned ' + res.status);
+      }
+      isAuthenticated = false;
+      setUserRole('player');
+      userTeam = null;
+      updateAdminToolbar();
+      stopCountdownTimer();
+      showAuthModal();
+      // Clear user info
+      const userInfo = document.getElementById('userInfo');
+      if (userInfo) {
+        userInfo.textContent = '';
+      }
+    } catch (err) {
+      console.error('Logout failed:', err);
+      alert('Logout failed: ' + err.message);
+    }
+  }
+
   const logoutBtn = document.getElementById('logoutBtn');
   if (logoutBtn) {
-    logoutBtn.addEventListener('click', async () => {
+    logoutBtn.addEventListener('click', () => logout('/auth/logout'));
+  }
+
+  const logoutAllBtn = document.getElementById('logoutAllBtn');
+  if (logoutAllBtn) {
+    logoutAllBtn.addEventListener('click', () => {
+      if (confirm('Sign out of every browser and device where you are logged in?')) logout('/auth/logout-all');
+    });
+  }
+
+  // Change password
+  const changePasswordBtn = document.getElementById('changePasswordBtn');
+  const changePasswordModal = document.getElementById('changePasswordModal');
+  const changePasswordForm = document.getElementById('changePasswordForm');
+  const changePasswordError = document.getElementById('changePasswordError');
+  const currentPassword = document.getElementById('currentPassword');
+  const newPassword = document.getElementById('newPassword');
+  const confirmNewPassword = document.getElementById('confirmNewPassword');
+  const cancelChangePasswordBtn = document.getElementById('cancelChangePasswordBtn');
+
+  function closeChangePasswordModal() {
+    changePasswordModal.style.display = 'none';
+    currentPassword.value = '';
+    newPassword.value = '';
+    confirmNewPassword.value = '';
+  }
+
+  if (changePasswordBtn) {
+    changePasswordBtn.addEventListener('click', () => showChangePasswordModal(false));
+  }
+
+  if (cancelChangePasswordBtn) {
+    cancelChangePasswordBtn.addEventListener('click', closeChangePasswordModal);
+  }
+
+  if (changePasswordForm) {
+    changePasswordForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const forced = changePasswordModal.dataset.forced === 'true';
+      if (newPassword.value !== confirmNewPassword.value) {
+        changePasswordError.textContent = 'The new passwords do not match';
+        changePasswordError.style.display = 'block';
+        return;
+      }
+      
       try {
-        await fetch('/auth/logout', { method: 'POST' });
-        isAuthenticated = false;
-        isAdmin = false;
-        updateAdminToolbar();
-        stopCountdownTimer();
-        showAuthModal();
-        // Clear user info
-        const userInfo = document.getElementById('userInfo');
-        if (userInfo) {
-          userInfo.textContent = '';
-        }
+        const response = await fetch('/auth/password', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ currentPassword: currentPassword.value, newPassword: newPassword.value })
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to change password');
+        
+        closeChangePasswordModal();
+        if (forced) showTeamModalIfNeeded();
+        alert('Password changed. Your other sessions have been signed out.');
+      } catch (err) {
+        changePasswordError.textContent = err.message;
+        changePasswordError.style.display = 'block';
+      }
+    });
+  }
+
+  // Personal API tokens
+  const apiTokensBtn = document.getElementById('apiTokensBtn');
+  const apiTokensModal = document.getElementById('apiTokensModal');
+  const apiTokensError = document.getElementById('apiTokensError');
+  const apiTokensBody = document.getElementById('apiTokensBody');
+  const apiTokenName = document.getElementById('apiTokenName');
+  const apiTokenScope = document.getElementById('apiTokenScope');
+  const apiTokenExpiry = document.getElementById('apiTokenExpiry');
+  const createApiTokenBtn = document.getElementById('createApiTokenBtn');
+  const newApiTokenBox = document.getElementById('newApiTokenBox');
+  const newApiToken = document.getElementById('newApiToken');
+  const closeApiTokensBtn = document.getElementById('closeApiTokensBtn');
+
+  function showApiTokensError(err) {
+    apiTokensError.textContent = err.message;
+    apiTokensError.style.display = 'block';
+  }
+
+  async function loadApiTokens() {
+    apiTokensError.style.display = 'none';
+    try {
+      const response = await fetch('/auth/tokens');
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to load API tokens');
+      
+      apiTokensBody.innerHTML = data.tokens.length ? '' : '<tr><td colspan="6" style="padding:12px;text-align:center;color:#999;">No API tokens yet</td></tr>';
+      data.tokens.forEach(t => {
+        const row = document.createElement('tr');
+        row.style.borderBottom = '1px solid #eee';
+        row.innerHTML = `
+          <td style="padding:8px;"></td>
+          <td style="padding:8px;font-family:monospace;font-size:12px;">${t.prefix}…</td>
+          <td style="padding:8px;">${t.scopes.join(', ')}</td>
+          <td style="padding:8px;${t.expired ? 'color:#d9534f;' : ''}">${t.expiresAt ? new Date(t.expiresAt).toLocaleDateString() + (t.expired ? ' (expired)' : '') : 'Never'}</td>
+          <td style="padding:8px;">${t.lastUsedAt ? new Date(t.lastUsedAt).toLocaleString() : 'Never'}</td>
+          <td style="padding:8px;text-align:center;"><button style="padding:4px 12px;background:#d9534f;color:white;border:none;border-radius:4px;cursor:pointer;">Revoke</button></td>
+        `;
+        row.children[0].textContent = t.name;
+        row.querySelector('button').addEventListener('click', async () => {
+          if (!confirm(`Revoke the token "${t.name}"? Anything using it stops working.`)) return;
+          try {
+            const res = await fetch(`/auth/tokens/${t.id}`, { method: 'DELETE' });
+            const body = await res.json();
+            if (!res.ok) throw new Error(body.error || 'Failed to revoke token');
+            loadApiTokens();
+          } catch (err) {
+            showApiTokensError(err);
+          }
+        });
+        apiTokensBody.appendChild(row);
+      });
+    } catch (err) {
+      showApiTokensError(err);
+    }
+  }
+
+  if (apiTokensBtn) {
+    apiTokensBtn.addEventListener('click', () => {
+      newApiTokenBox.style.display = 'none';
+      newApiToken.value = '';
+      apiTokenScope.querySelectorAll('.moderator-only').forEach(o => { o.hidden = !isModerator; });
+      apiTokensModal.style.display = 'flex';
+      loadApiTokens();
+    });
+  }
+
+  if (closeApiTokensBtn) {
+    closeApiTokensBtn.addEventListener('click', () => {
+      apiTokensModal.style.display = 'none';
+      newApiToken.value = '';
+    });
+  }
+
+  if (createApiTokenBtn) {
+    createApiTokenBtn.addEventListener('click', async () => {
+      const scopes = { read: ['read'], claim: ['read', 'claim'], admin: ['read', 'claim', 'admin'] }[apiTokenScope.value];
+      try {
+        apiTokensError.style.display = 'none';
+        const response = await fetch('/auth/tokens', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            name: apiTokenName.value.trim(),
+            scopes,
+            expiresInDays: apiTokenExpiry.value ? Number(apiTokenExpiry.value) : undefined
+          })
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to create API token');
+        
+        newApiToken.value = data.token;
+        newApiTokenBox.style.display = 'block';
+        newApiToken.select();
+        apiTokenName.value = '';
+        apiTokenExpiry.value = '';
+        loadApiTokens();
       } catch (err) {
-        console.error('Logout failed:', err);
+        showApiTokensError(err);
       }
     });
   }
@@ -1099,17 +1992,21 @@ document.addEventListener('DOMContentLoaded', async () => {
           // Check admin status after login
           const meResponse = await fetch('/auth/me');
           const meData = await meResponse.json();
-          isAdmin = meData.isAdmin || false;
+          setUserRole(meData.role);
+          userTeam = meData.team || null;
           userClaimsUsed = meData.claimsUsedToday || 0;
           userClaimLimit = meData.dailyClaimLimit || 0;
           userClaimsRemaining = meData.claimsRemaining || 0;
           updateAdminToolbar();
           updateClaimsInfo(meData);
+          populateTeamSelect();
           
           hideAuthModal();
+          if (meData.mustChangePassword) showChangePasswordModal(true);
+          else showTeamModalIfNeeded();
           const userInfo = document.getElementById('userInfo');
           if (userInfo) {
-            userInfo.textContent = `User: ${data.username}${isAdmin ? ' (Admin)' : ''}`;
+            userInfo.textContent = `User: ${data.username}${roleLabel()}`;
           }
           authUsername.value = '';
           authPassword.value = '';
@@ -1138,7 +2035,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     try {
       manageClaimsError.style.display = 'none';
       manageClaimsSuccess.style.display = 'none';
-      usersTableBody.innerHTML = '<tr><td colspan="6" style="padding:20px;text-align:center;color:#999;">Loading...</td></tr>';
+      usersTableBody.innerHTML = '<tr><td colspan="9" style="padding:20px;text-align:center;color:#999;">Loading...</td></tr>';
       
       const response = await fetch('/admin/users');
       
@@ -1156,7 +2053,7 @@ document.addEventListener('DOMContentLoaded', async () => {
       const data = await response.json();
       
       if (!data.users || data.users.length === 0) {
-        usersTableBody.innerHTML = '<tr><td colspan="6" style="padding:20px;text-align:center;color:#999;">No users found</td></tr>';
+        usersTableBody.innerHTML = '<tr><td colspan="9" style="padding:20px;text-align:center;color:#999;">No users found</td></tr>';
         return;
       }
       
@@ -1165,12 +2062,25 @@ document.addEventListener('DOMContentLoaded', async () => {
         const row = document.createElement('tr');
         row.style.borderBottom = '1px solid #eee';
         
-        const status = user.isAdmin ? '<span style="color:#007acc;font-weight:bold;">Admin</span>' : 'User';
+        const roleNames = { player: 'Player', moderator: 'Moderator', admin: 'Admin' };
+        const roleOptions = Object.keys(roleNames)
+          .map(role => `<option value="${role}" ${role === user.role ? 'selected' : ''}>${roleNames[role]}</option>`)
+          .join('');
+        // Only admins can change roles and teams
+        const roleCell = isAdmin
+          ? `<select class="user-role-select" data-user-id="${user.id}" data-role="${user.role}" style="padding:4px;">${roleOptions}</select>`
+          : (user.role === 'player' ? 'Player' : `<span style="color:#007acc;font-weight:bold;">${roleNames[user.role] || user.role}</span>`);
         const remaining = user.isAdmin ? 'Unlimited' : user.claimsRemaining;
+        const loginCell = user.lockedUntil
+          ? `<span style="color:#d9534f;">Locked until ${new Date(user.lockedUntil).toLocaleTimeString()}</span>
+             <button class="unlock-user-btn" data-user-id="${user.id}" style="padding:4px 12px;margin-top:4px;background:#5cb85c;color:white;border:none;border-radius:4px;cursor:pointer;">Unlock</button>`
+          : (user.failedLogins ? `${user.failedLogins} failed` : '-');
         
+        // Usernames and team names are user-chosen; they are filled in as text below
         row.innerHTML = `
-          <td style="padding:10px;">${user.username}</td>
-          <td style="padding:10px;">${status}</td>
+          <td style="padding:10px;" class="user-name-cell"></td>
+          <td style="padding:10px;">${roleCell}</td>
+          <td style="padding:10px;"><select class="user-team-select" data-user-id="${user.id}" style="padding:4px;" ${isAdmin ? '' : 'disabled'}></select></td>
           <td style="padding:10px;text-align:center;">${user.claimsUsedToday}</td>
           <td style="padding:10px;text-align:center;">
             ${user.isAdmin ? 'Unlimited' : `<input type="number" min="0" value="${user.dailyClaimLimit}" data-user-id="${user.id}" style="width:60px;padding:4px;text-align:center;" ${user.isAdmin ? 'disabled' : ''}>`}
@@ -1179,9 +2089,20 @@ document.addEventListener('DOMContentLoaded', async () => {
             ${user.isAdmin ? '-' : `<button class="update-limit-btn" data-user-id="${user.id}" style="padding:4px 12px;background:#007acc;color:white;border:none;border-radius:4px;cursor:pointer;">Update</button>`}
           </td>
           <td style="padding:10px;text-align:center;">
-            ${user.claimsUsedToday > 0 ? `<button class="clear-today-btn" data-user-id="${user.id}" data-username="${user.username}" style="padding:4px 12px;background:#d9534f;color:white;border:none;border-radius:4px;cursor:pointer;">Clear (${user.claimsUsedToday})</button>` : '-'}
+            ${user.claimsUsedToday > 0 ? `<button class="clear-today-btn" data-user-id="${user.id}" style="padding:4px 12px;background:#d9534f;color:white;border:none;border-radius:4px;cursor:pointer;">Clear (${user.claimsUsedToday})</button>` : '-'}
+          </td>
+          <td style="padding:10px;text-align:center;">${loginCell}</td>
+          <td style="padding:10px;text-align:center;white-space:nowrap;">
+            ${isAdmin ? `<button class="reset-password-btn" data-user-id="${user.id}" style="padding:4px 12px;background:#f0ad4e;color:white;border:none;border-radius:4px;cursor:pointer;">Reset Password</button>
+            <button class="delete-user-btn" data-user-id="${user.id}" style="padding:4px 12px;background:#d9534f;color:white;border:none;border-radius:4px;cursor:pointer;">Delete</button>` : '-'}
           </td>
         `;
+        row.querySelector('.user-name-cell').textContent = user.username;
+        const teamSelectCell = row.querySelector('.user-team-select');
+        ['', ...Object.keys(settings.Teams || {})].forEach(name => {
+          teamSelectCell.add(new Option(name || '(none)', name, false, name === (user.team || '')));
+        });
+        row.querySelectorAll('button[data-user-id]').forEach(btn => { btn.dataset.username = user.username; });
         
         usersTableBody.appendChild(row);
       });
@@ -1224,6 +2145,152 @@ document.addEventListener('DOMContentLoaded', async () => {
         });
       });
       
+      // Add event listeners to team selects
+      document.querySelectorAll('.user-team-select').forEach(select => {
+        select.addEventListener('change', async (e) => {
+          const userId = e.target.dataset.userId;
+          const team = e.target.value || null;
+          
+          try {
+            const response = await fetch(`/admin/users/${userId}/team`, {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ team })
+            });
+            
+            const data = await response.json();
+            
+            if (response.ok) {
+              manageClaimsSuccess.textContent = team ? `Moved user to ${team}.` : 'Removed user from their team.';
+              manageClaimsSuccess.style.display = 'block';
+              setTimeout(() => { manageClaimsSuccess.style.display = 'none'; }, 3000);
+            } else {
+              throw new Error(data.error || 'Failed to update team');
+            }
+          } catch (err) {
+            manageClaimsError.textContent = err.message;
+            manageClaimsError.style.display = 'block';
+            setTimeout(() => { manageClaimsError.style.display = 'none'; }, 3000);
+          }
+        });
+      });
+      
+      // Add event listeners to role selects
+      document.querySelectorAll('.user-role-select').forEach(select => {
+        select.addEventListener('change', async (e) => {
+          const userId = e.target.dataset.userId;
+          const role = e.target.value;
+          
+          try {
+            const response = await fetch(`/admin/users/${userId}/role`, {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ role })
+            });
+            
+            const data = await response.json();
+            
+            if (response.ok) {
+              manageClaimsSuccess.textContent = 'Role updated successfully!';
+              manageClaimsSuccess.style.display = 'block';
+              setTimeout(() => { manageClaimsSuccess.style.display = 'none'; }, 3000);
+              // limits shown depend on the role
+              loadUsersTable();
+            } else {
+              throw new Error(data.error || 'Failed to update role');
+            }
+          } catch (err) {
+            e.target.value = e.target.dataset.role;
+            manageClaimsError.textContent = err.message;
+            manageClaimsError.style.display = 'block';
+            setTimeout(() => { manageClaimsError.style.display = 'none'; }, 3000);
+          }
+        });
+      });
+      
+      // Unlock accounts locked after failed logins
+      document.querySelectorAll('.unlock-user-btn').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+          const userId = e.target.dataset.userId;
+          const username = e.target.dataset.username;
+          
+          try {
+            const response = await fetch(`/admin/users/${userId}/unlock`, {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' }
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to unlock user');
+            
+            manageClaimsSuccess.textContent = `Unlocked ${username}`;
+            manageClaimsSuccess.style.display = 'block';
+            setTimeout(() => { manageClaimsSuccess.style.display = 'none'; }, 3000);
+            loadUsersTable();
+          } catch (err) {
+            manageClaimsError.textContent = err.message;
+            manageClaimsError.style.display = 'block';
+            setTimeout(() => { manageClaimsError.style.display = 'none'; }, 3000);
+          }
+        });
+      });
+      
+      // Admin password resets: the temporary password is only shown here, once
+      document.querySelectorAll('.reset-password-btn').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+          const userId = e.target.dataset.userId;
+          const username = e.target.dataset.username;
+          if (!confirm(`Reset the password of ${username}? They will be signed out everywhere.`)) return;
+          
+          try {
+            const response = await fetch(`/admin/users/${userId}/reset-password`, {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' }
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to reset password');
+            
+            prompt(`Temporary password for ${username}. It is shown only once and works until they sign in with it and choose a new one:`, data.temporaryPassword);
+            loadUsersTable();
+          } catch (err) {
+            manageClaimsError.textContent = err.message;
+            manageClaimsError.style.display = 'block';
+            setTimeout(() => { manageClaimsError.style.display = 'none'; }, 3000);
+          }
+        });
+      });
+      
+      document.querySelectorAll('.delete-user-btn').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+          const userId = e.target.dataset.userId;
+          const username = e.target.dataset.username;
+          if (!confirm(`Delete the account ${username}? This cannot be undone.`)) return;
+          const removeClaims = confirm(
+            `Also remove the claims of ${username} from the map?\n\n` +
+            'OK removes them. Cancel keeps them on the map without an owner.'
+          );
+          
+          try {
+            const response = await fetch(`/admin/users/${userId}?claims=${removeClaims ? 'remove' : 'keep'}`, {
+              method: 'DELETE',
+              headers: { 'Content-Type': 'application/json' }
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to delete user');
+            
+            manageClaimsSuccess.textContent = removeClaims
+              ? `Deleted ${username} and removed ${data.removedClaims} claim(s)`
+              : `Deleted ${username}; ${data.orphanedClaims} claim(s) kept without an owner`;
+            manageClaimsSuccess.style.display = 'block';
+            setTimeout(() => { manageClaimsSuccess.style.display = 'none'; }, 3000);
+            loadUsersTable();
+          } catch (err) {
+            manageClaimsError.textContent = err.message;
+            manageClaimsError.style.display = 'block';
+            setTimeout(() => { manageClaimsError.style.display = 'none'; }, 3000);
+          }
+        });
+      });
+      
       // Add event listeners to clear today buttons
       document.querySelectorAll('.clear-today-btn').forEach(btn => {
         btn.addEventListener('click', async (e) => {
@@ -1265,7 +2332,7 @@ document.addEventListener('DOMContentLoaded', async () => {
       console.error('Failed to load users:', err);
       manageClaimsError.textContent = err.message;
       manageClaimsError.style.display = 'block';
-      usersTableBody.innerHTML = '<tr><td colspan="6" style="padding:20px;text-align:center;color:red;">Failed to load users</td></tr>';
+      usersTableBody.innerHTML = '<tr><td colspan="9" style="padding:20px;text-align:center;color:red;">Failed to load users</td></tr>';
     }
   }
 
@@ -1291,82 +2358,828 @@ document.addEventListener('DOMContentLoaded', async () => {
   const filterPlayer = document.getElementById('filterPlayer');
   const filterTeam = document.getElementById('filterTeam');
   const filterDate = document.getElementById('filterDate');
+  const filterProtected = document.getElementById('filterProtected');
   const filterClaimsError = document.getElementById('filterClaimsError');
   const filterClaimsSuccess = document.getElementById('filterClaimsSuccess');
   const filterResults = document.getElementById('filterResults');
   const filterResultCount = document.getElementById('filterResultCount');
   const filterResultsContainer = document.getElementById('filterResultsContainer');
+  let lastClaimFilter = null; // filters of the search shown in the results, for exporting them
+  let lastClaimResults = []; // claims shown in the results
+  const selectedClaimIds = new Set(); // results ticked for a bulk action
+  const bulkScope = document.getElementById('bulkScope');
+  const bulkScopeSelected = document.getElementById('bulkScopeSelected');
+  const bulkDeleteBtn = document.getElementById('bulkDeleteBtn');
+  const bulkReassignControls = document.getElementById('bulkReassignControls');
+  const bulkTeam = document.getElementById('bulkTeam');
+  const bulkReassignTeamBtn = document.getElementById('bulkReassignTeamBtn');
+  const bulkPlayer = document.getElementById('bulkPlayer');
+  const bulkReassignPlayerBtn = document.getElementById('bulkReassignPlayerBtn');
+  const adminActionLog = document.getElementById('adminActionLog');
+
+  const BULK_ACTION_LABELS = {
+    delete: 'Deleted',
+    reassign_team: 'Moved to team',
+    reassign_player: 'Moved to player'
+  };
+
+  async function loadAdminActions() {
+    try {
+      const response = await fetch('/admin/actions?pageSize=20');
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to load admin actions');
+      if (!data.actions.length) {
+        adminActionLog.innerHTML = '<p style="color:#999;margin:0;">No bulk actions yet</p>';
+        return;
+      }
+      adminActionLog.innerHTML = '';
+      data.actions.forEach(a => {
+        const line = document.createElement('div');
+        line.style.cssText = 'padding:3px 0;border-bottom:1px solid #eee;';
+        const target = a.details && (a.details.team || a.details.player);
+        const owners = a.details ? Object.keys(a.details.players || {}).join(', ') : '';
+        line.textContent = `${new Date(a.createdAt).toLocaleString()}: ${a.actor} — ${BULK_ACTION_LABELS[a.action] || a.action}` +
+          `${target ? ' ' + target : ''}, ${a.claimCount} claim(s)${owners ? ' of ' + owners : ''}`;
+        adminActionLog.appendChild(line);
+      });
+    } catch (err) {
+      adminActionLog.textContent = err.message;
+    }
+  }
+
+  function updateBulkSelection() {
+    bulkScopeSelected.textContent = `Selected claims (${selectedClaimIds.size})`;
+    bulkScope.options[1].textContent = `All results (${lastClaimResults.length})`;
+  }
+
+  // "5 claims: bob (3), carl (2); teams: Liberals (5)" from a dry run's counts
+  function describeBulkCounts(result) {
+    const list = (counts) => Object.entries(counts).map(([name, n]) => `${name} (${n})`).join(', ');
+    return `${result.claims} claim(s) of ${list(result.players)}; teams: ${list(result.teams)}` +
+      (result.skipped ? `\n${result.skipped} selected claim(s) are no longer on the map and will be skipped.` : '') +
+      (result.player
+        ? (result.team
+          ? `\nThe claims move to ${result.player}'s team, ${result.team}.`
+          : `\n${result.player} has no team, so the claims keep their teams.`)
+        : '');
+  }
+
+  // Check what a bulk action would touch, confirm it with counts, then apply it
+  async function runBulkAction(action, extra, describe) {
+    const ids = bulkScope.value === 'all' ? lastClaimResults.map(c => c.id) : [...selectedClaimIds];
+    filterClaimsError.style.display = 'none';
+    filterClaimsSuccess.style.display = 'none';
+    if (!ids.length) {
+      filterClaimsError.textContent = 'Tick some claims first, or apply to all results';
+      filterClaimsError.style.display = 'block';
+      return;
+    }
+    const post = async (dryRun) => {
+      const response = await fetch('/admin/claims/bulk', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action, ids, ...extra, dryRun })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Server returned ' + response.status);
+      return data;
+    };
+    try {
+      const check = await post(true);
+      if (!check.claims) throw new Error('None of those claims are on the map any more');
+      if (!confirm(`${describe}\n\n${describeBulkCounts(check)}`)) return;
+      const result = await post(false);
+      await searchClaims();
+      loadAdminActions();
+      filterClaimsSuccess.textContent = `${BULK_ACTION_LABELS[action]}${extra.team || extra.player ? ' ' + (extra.team || extra.player) : ''}: ${result.claims} claim(s)`;
+      filterClaimsSuccess.style.display = 'block';
+    } catch (err) {
+      filterClaimsError.textContent = err.message;
+      filterClaimsError.style.display = 'block';
+    }
+  }
 
   if (filterClaimsBtn) {
     filterClaimsBtn.addEventListener('click', () => {
       filterClaimsModal.style.display = 'flex';
+      bulkReassignControls.style.display = isAdmin ? '' : 'none';
+      bulkTeam.innerHTML = '';
+      Object.keys(settings.Teams || {}).forEach(name => bulkTeam.add(new Option(name, name)));
+      loadAdminActions();
+    });
+  }
+
+  if (bulkDeleteBtn) {
+    bulkDeleteBtn.addEventListener('click', () => runBulkAction('delete', {}, 'Delete these claims from the map?'));
+  }
+
+  if (bulkReassignTeamBtn) {
+    bulkReassignTeamBtn.addEventListener('click', () => {
+      const team = bulkTeam.value;
+      if (team) runBulkAction('reassign_team', { team }, `Move these claims to ${team}?`);
+    });
+  }
+
+  if (bulkReassignPlayerBtn) {
+    bulkReassignPlayerBtn.addEventListener('click', () => {
+      const player = bulkPlayer.value.trim();
+      if (player) runBulkAction('reassign_player', { player }, `Give these claims to ${player}?`);
     });
   }
 
+  if (bulkScope) bulkScope.addEventListener('change', updateBulkSelection);
+
   if (closeFilterClaimsBtn) {
     closeFilterClaimsBtn.addEventListener('click', () => {
       filterClaimsModal.style.display = 'none';
     });
   }
 
-  if (searchClaimsBtn) {
-    searchClaimsBtn.addEventListener('click', async () => {
-      const player = filterPlayer.value.trim();
-      const team = filterTeam.value.trim();
-      const date = filterDate.value.trim();
-
-      if (!player && !team && !date) {
-        filterClaimsError.textContent = 'Please enter at least one search criteria';
-        filterClaimsError.style.display = 'block';
-        setTimeout(() => { filterClaimsError.style.display = 'none'; }, 3000);
-        return;
+  async function searchClaims() {
+    const player = filterPlayer.value.trim();
+    const team = filterTeam.value.trim();
+    const date = filterDate.value.trim();
+    const protectedOnly = filterProtected.checked;
+
+    if (!player && !team && !date && !protectedOnly) {
+      filterClaimsError.textContent = 'Please enter at least one search criteria';
+      filterClaimsError.style.display = 'block';
+      setTimeout(() => { filterClaimsError.style.display = 'none'; }, 3000);
+      return;
+    }
+
+    try {
+      filterClaimsError.style.display = 'none';
+      filterClaimsSuccess.style.display = 'none';
+
+      const response = await fetch('/admin/claims/search', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ player, team, date, protectedOnly })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to search claims');
       }
 
-      try {
-        filterClaimsError.style.display = 'none';
-        filterClaimsSuccess.style.display = 'none';
+      lastClaimFilter = { player, team, date, protectedOnly };
+      lastClaimResults = data.claims;
+      // Keep ticked claims that are still in the results
+      const resultIds = new Set(data.claims.map(c => c.id));
+      [...selectedClaimIds].forEach(id => { if (!resultIds.has(id)) selectedClaimIds.delete(id); });
+
+      // Update filtered claims set
+      filteredClaimIds.clear();
+      data.claims.forEach(c => filteredClaimIds.add(c.id));
+
+      // Display results
+      // Only the newest data.limit matches come back; narrow the filters to see the rest
+      filterResultCount.textContent = data.truncated ? `${data.count}+` : data.count;
+      filterResultsContainer.style.display = 'block';
+
+      if (data.count === 0) {
+        filterResults.innerHTML = '<p style="color:#999;">No claims found</p>';
+      } else {
+        filterResults.innerHTML = '<table style="width:100%;font-size:12px;border-collapse:collapse;"><tr style="background:#f5f5f5;"><th style="padding:5px;"><input type="checkbox" id="selectAllClaims" title="Select all"></th><th style="padding:5px;">ID</th><th style="padding:5px;">Player</th><th style="padding:5px;">Team</th><th style="padding:5px;">Date</th><th style="padding:5px;">Protected Until</th></tr></table>';
+        const table = filterResults.querySelector('table');
+        // Player and team names are user-chosen, so cells are filled as text
+        data.claims.forEach(c => {
+          const row = table.insertRow();
+          row.style.borderBottom = '1px solid #eee';
+          const box = document.createElement('input');
+          box.type = 'checkbox';
+          box.className = 'claim-select';
+          box.dataset.id = c.id;
+          box.checked = selectedClaimIds.has(c.id);
+          [box, c.id, c.player || 'N/A', c.team || 'N/A', c.date.split('T')[0],
+            c.protectedUntil ? new Date(c.protectedUntil).toLocaleTimeString() : '-'].forEach(value => {
+            const td = row.insertCell();
+            td.style.padding = '5px';
+            if (value instanceof Node) td.appendChild(value);
+            else td.textContent = value;
+          });
+        });
+        
+        const boxes = filterResults.querySelectorAll('.claim-select');
+        const selectAll = document.getElementById('selectAllClaims');
+        selectAll.checked = boxes.length > 0 && selectedClaimIds.size === boxes.length;
+        boxes.forEach(box => {
+          box.addEventListener('change', () => {
+            const id = Number(box.dataset.id);
+            if (box.checked) selectedClaimIds.add(id);
+            else selectedClaimIds.delete(id);
+            selectAll.checked = selectedClaimIds.size === boxes.length;
+            updateBulkSelection();
+          });
+        });
+        selectAll.addEventListener('change', () => {
+          boxes.forEach(box => {
+            box.checked = selectAll.checked;
+            if (box.checked) selectedClaimIds.add(Number(box.dataset.id));
+            else selectedClaimIds.delete(Number(box.dataset.id));
+          });
+          updateBulkSelection();
+        });
+      }
+      updateBulkSelection();
+
+      // Repaint map to show purple highlights
+      repaintSavedClaims();
+
+      filterClaimsSuccess.textContent = `${data.count} claim(s) highlighted in purple`;
+      filterClaimsSuccess.style.display = 'block';
+    } catch (err) {
+      console.error('Failed to search claims:', err);
+      filterClaimsError.textContent = err.message;
+      filterClaimsError.style.display = 'block';
+    }
+  }
+
+  if (searchClaimsBtn) {
+    searchClaimsBtn.addEventListener('click', searchClaims);
+  }
+
+  // Download the current search results through /claims/export (same filters)
+  document.querySelectorAll('.export-claims-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      if (!lastClaimFilter) return;
+      const params = new URLSearchParams({ format: btn.dataset.format });
+      Object.entries(lastClaimFilter).forEach(([key, value]) => {
+        if (value) params.set(key, String(value));
+      });
+      window.location.href = '/claims/export?' + params;
+    });
+  });
+
+  // Settings Modal functionality (admin only)
+  const settingsBtn = document.getElementById('settingsBtn');
+  const settingsModal = document.getElementById('settingsModal');
+  const settingsTeamsBody = document.getElementById('settingsTeamsBody');
+  const settingsAddTeamBtn = document.getElementById('settingsAddTeamBtn');
+  const settingsDailyLimit = document.getElementById('settingsDailyLimit');
+  const settingsProtection = document.getElementById('settingsProtection');
+  const settingsMapImage = document.getElementById('settingsMapImage');
+  const settingsError = document.getElementById('settingsError');
+  const settingsSuccess = document.getElementById('settingsSuccess');
+  const saveSettingsBtn = document.getElementById('saveSettingsBtn');
+  const closeSettingsBtn = document.getElementById('closeSettingsBtn');
+
+  function addSettingsTeamRow(name, color, originalName) {
+    const row = document.createElement('tr');
+    row.dataset.originalName = originalName || '';
+    row.innerHTML = `
+      <td style="padding:6px;"><input type="text" class="settings-team-name" maxlength="32" style="width:100%;padding:6px;box-sizing:border-box;border:1px solid #ccc;border-radius:4px;"></td>
+      <td style="padding:6px;"><input type="color" class="settings-team-color"></td>
+      <td style="padding:6px;text-align:center;"><button class="settings-remove-team" style="padding:4px 12px;background:#d9534f;color:white;border:none;border-radius:4px;cursor:pointer;">Remove</button></td>
+    `;
+    row.querySelector('.settings-team-name').value = name;
+    row.querySelector('.settings-team-color').value = color;
+    row.querySelector('.settings-remove-team').addEventListener('click', () => row.remove());
+    settingsTeamsBody.appendChild(row);
+  }
+
+  async function loadSettingsForm() {
+    settingsError.style.display = 'none';
+    settingsSuccess.style.display = 'none';
+    try {
+      const response = await fetch('/admin/settings');
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to load settings');
+      
+      const current = data.settings;
+      settingsTeamsBody.innerHTML = '';
+      Object.entries(current.Teams || {}).forEach(([name, team]) => {
+        // <input type="color"> only takes #rrggbb
+        const hex = (team.color || '#000000').replace(/^#(.)(.)(.)$/, '#$1$1$2$2$3$3');
+        addSettingsTeamRow(name, hex, name);
+      });
+      settingsDailyLimit.value = current.defaultDailyClaimLimit || 10;
+      settingsProtection.value = current.claimProtectionMinutes || 0;
+      settingsMapImage.value = current.mapImage || '';
+      document.querySelectorAll('.settings-rate-limit').forEach(input => {
+        input.value = (current.rateLimits || {})[input.dataset.key] ?? '';
+      });
+    } catch (err) {
+      settingsError.textContent = err.message;
+      settingsError.style.display = 'block';
+    }
+  }
+
+  if (settingsBtn) {
+    settingsBtn.addEventListener('click', () => {
+      settingsModal.style.display = 'flex';
+      loadSettingsForm();
+    });
+  }
+
+  if (closeSettingsBtn) {
+    closeSettingsBtn.addEventListener('click', () => {
+      settingsModal.style.display = 'none';
+    });
+  }
+
+  if (settingsAddTeamBtn) {
+    settingsAddTeamBtn.addEventListener('click', () => addSettingsTeamRow('', '#888888', ''));
+  }
 
-        const response = await fetch('/admin/claims/search', {
+  if (saveSettingsBtn) {
+    saveSettingsBtn.addEventListener('click', async () => {
+      const rateLimits = {};
+      document.querySelectorAll('.settings-rate-limit').forEach(input => {
+        if (input.value !== '') rateLimits[input.dataset.key] = Number(input.value);
+      });
+      const teams = Array.from(settingsTeamsBody.querySelectorAll('tr')).map(row => ({
+        name: row.querySelector('.settings-team-name').value.trim(),
+        color: row.querySelector('.settings-team-color').value,
+        originalName: row.dataset.originalName || undefined
+      }));
+      
+      try {
+        settingsError.style.display = 'none';
+        settingsSuccess.style.display = 'none';
+        
+        const response = await fetch('/admin/settings', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ player, team, date })
+          body: JSON.stringify({
+            teams,
+            defaultDailyClaimLimit: Number(settingsDailyLimit.value),
+            claimProtectionMinutes: Number(settingsProtection.value),
+            mapImage: settingsMapImage.value.trim(),
+            rateLimits
+          })
         });
-
+        
         const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to save settings');
+        
+        settingsSuccess.textContent = 'Settings saved. Connected players will see the changes right away.';
+        settingsSuccess.style.display = 'block';
+        loadSettingsForm();
+      } catch (err) {
+        settingsError.textContent = err.message;
+        settingsError.style.display = 'block';
+      }
+    });
+  }
+
+  // Map versions (admin only): every uploaded map is kept and can be made live again
+  const mapVersionsBtn = document.getElementById('mapVersionsBtn');
+  const mapVersionsModal = document.getElementById('mapVersionsModal');
+  const mapVersionsBody = document.getElementById('mapVersionsBody');
+  const mapVersionsError = document.getElementById('mapVersionsError');
+  const closeMapVersionsBtn = document.getElementById('closeMapVersionsBtn');
+
+  function describeMapReport(report) {
+    const lines = [`Map version ${report.version}: ${report.width}x${report.height}, ${report.regions} regions.`];
+    if (report.current) {
+      lines.push(`Current map: ${report.current.width}x${report.current.height}, ${report.current.regions} regions.`);
+    }
+    if (report.sizeChanged) lines.push('The image size differs from the current map.');
+    lines.push(`${report.seedsOutside} of ${report.claims} active claim(s) no longer start inside a white region` +
+      (report.seedsLost ? `, ${report.seedsLost} of them with no region nearby (they would disappear).` : '.'));
+    return lines.join('\n');
+  }
 
-        if (!response.ok) {
-          throw new Error(data.error || 'Failed to search claims');
+  // Show the validation report, then make the version live, optionally re-seeding claims into it
+  async function reviewAndActivateMapVersion(version, report) {
+    if (!confirm(describeMapReport(report) + '\n\nMake this map version live?')) return false;
+    const migrate = report.claims > 0 && confirm(
+      'Migrate existing claims to the best-matching regions of this map?\n\n' +
+      'OK re-seeds every claim into the region that overlaps its current region most. ' +
+      'Cancel keeps claim positions as they are.'
+    );
+    
+    expectingMapChange = true;
+    try {
+      const res = await fetch(`/admin/maps/${version}/activate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ migrate })
+      });
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error || 'Server returned ' + res.status);
+      
+      alert(`Map version ${version} is now live` +
+        (migrate ? ` (${body.migrated} claim(s) migrated)` : '') + '. Reloading page...');
+      window.location.reload();
+      return true;
+    } catch (err) {
+      expectingMapChange = false;
+      throw err;
+    }
+  }
+
+  async function loadMapVersions() {
+    mapVersionsError.style.display = 'none';
+    try {
+      const response = await fetch('/admin/maps');
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to load map versions');
+      
+      mapVersionsBody.innerHTML = '';
+      data.versions.forEach(v => {
+        const row = document.createElement('tr');
+        row.style.borderBottom = '1px solid #eee';
+        row.innerHTML = `
+          <td style="padding:8px;">${v.version}</td>
+          <td style="padding:8px;"></td>
+          <td style="padding:8px;">${v.width || '?'}x${v.height || '?'}</td>
+          <td style="padding:8px;">${v.regions != null ? v.regions : '?'}</td>
+          <td style="padding:8px;">${new Date(v.createdAt).toLocaleString()}</td>
+          <td style="padding:8px;text-align:center;"></td>
+        `;
+        row.children[1].textContent = v.originalName || v.mapImage;
+        row.children[1].title = v.mapImage + (v.uploadedBy ? ` (uploaded by ${v.uploadedBy})` : '');
+        const actionCell = row.children[5];
+        if (v.active) {
+          actionCell.innerHTML = '<strong style="color:#5cb85c;">Live</strong>';
+        } else {
+          const btn = document.createElement('button');
+          btn.textContent = 'Activate';
+          btn.style.cssText = 'padding:4px 12px;background:#007acc;color:white;border:none;border-radius:4px;cursor:pointer;';
+          btn.addEventListener('click', async () => {
+            btn.disabled = true;
+            try {
+              const res = await fetch(`/admin/maps/${v.version}/report`);
+              const report = await res.json();
+              if (!res.ok) throw new Error(report.error || 'Server returned ' + res.status);
+              await reviewAndActivateMapVersion(v.version, report);
+            } catch (err) {
+              mapVersionsError.textContent = err.message;
+              mapVersionsError.style.display = 'block';
+            } finally {
+              btn.disabled = false;
+            }
+          });
+          actionCell.appendChild(btn);
         }
+        mapVersionsBody.appendChild(row);
+      });
+    } catch (err) {
+      mapVersionsError.textContent = err.message;
+      mapVersionsError.style.display = 'block';
+    }
+  }
+
+  if (mapVersionsBtn) {
+    mapVersionsBtn.addEventListener('click', () => {
+      mapVersionsModal.style.display = 'flex';
+      loadMapVersions();
+    });
+  }
+
+  if (closeMapVersionsBtn) {
+    closeMapVersionsBtn.addEventListener('click', () => {
+      mapVersionsModal.style.display = 'none';
+    });
+  }
+
+  // Backup & restore (admin only)
+  const backupBtn = document.getElementById('backupBtn');
+  const backupModal = document.getElementById('backupModal');
+  const backupError = document.getElementById('backupError');
+  const backupSuccess = document.getElementById('backupSuccess');
+  const backupIncludePasswords = document.getElementById('backupIncludePasswords');
+  const downloadBackupBtn = document.getElementById('downloadBackupBtn');
+  const restoreBackupFile = document.getElementById('restoreBackupFile');
+  const checkBackupBtn = document.getElementById('checkBackupBtn');
+  const restoreSummary = document.getElementById('restoreSummary');
+  const restoreSummaryText = document.getElementById('restoreSummaryText');
+  const applyRestoreBtn = document.getElementById('applyRestoreBtn');
+  const backupSchedule = document.getElementById('backupSchedule');
+  const storedBackupsBody = document.getElementById('storedBackupsBody');
+  const closeBackupBtn = document.getElementById('closeBackupBtn');
+  let restoreSource = null; // { file } or { name } of the backup last checked
+
+  function showBackupMessage(el, text) {
+    backupError.style.display = 'none';
+    backupSuccess.style.display = 'none';
+    if (!el) return;
+    el.textContent = text;
+    el.style.display = 'block';
+  }
 
-        // Update filtered claims set
-        filteredClaimIds.clear();
-        data.claims.forEach(c => filteredClaimIds.add(c.id));
+  // POST the backup to restore; with dryRun it only comes back with a summary
+  async function postRestore(source, dryRun) {
+    const formData = new FormData();
+    if (source.file) formData.append('backup', source.file);
+    else formData.append('name', source.name);
+    formData.append('dryRun', String(dryRun));
+    const res = await fetch('/admin/backup/restore', { method: 'POST', body: formData });
+    const body = await res.json();
+    if (!res.ok) throw new Error(body.error || 'Server returned ' + res.status);
+    return body;
+  }
 
-        // Display results
-        filterResultCount.textContent = data.count;
-        filterResultsContainer.style.display = 'block';
+  function describeBackupSummary(summary) {
+    const lines = [
+      `Backup from ${new Date(summary.createdAt).toLocaleString()}`,
+      `Users: ${summary.users} (now ${summary.current.users})` +
+        (summary.admins.length ? `, admins: ${summary.admins.join(', ')}` : ', no admins!'),
+      `Claims: ${summary.liveClaims} on the map, ${summary.claims} including history (now ${summary.current.liveClaims} / ${summary.current.claims})`,
+      `Claim history events: ${summary.claimEvents}`,
+      `Teams: ${summary.teams.join(', ') || 'none'}`,
+      `Map: ${summary.map.name}, ${summary.map.width}x${summary.map.height}, ${summary.map.regions} regions` +
+        (summary.map.sameAsCurrent ? ' (same as the current map)' : ' (added as a new map version)')
+    ];
+    if (summary.usersWithoutPassword) {
+      lines.push(`${summary.usersWithoutPassword} user(s) have no password in this backup and will need a reset.`);
+    }
+    lines.push('Restoring replaces everything above, signs everyone out and revokes all API tokens. A backup of the current game is kept first.');
+    return lines.join('\n');
+  }
 
-        if (data.count === 0) {
-          filterResults.innerHTML = '<p style="color:#999;">No claims found</p>';
-        } else {
-          let html = '<table style="width:100%;font-size:12px;border-collapse:collapse;">';
-          html += '<tr style="background:#f5f5f5;"><th style="padding:5px;">ID</th><th style="padding:5px;">Player</th><th style="padding:5px;">Team</th><th style="padding:5px;">Date</th></tr>';
-          data.claims.forEach(c => {
-            html += `<tr style="border-bottom:1px solid #eee;"><td style="padding:5px;">${c.id}</td><td style="padding:5px;">${c.player || 'N/A'}</td><td style="padding:5px;">${c.team || 'N/A'}</td><td style="padding:5px;">${c.date.split('T')[0]}</td></tr>`;
+  async function checkBackup(source) {
+    showBackupMessage(null);
+    restoreSummary.style.display = 'none';
+    restoreSource = null;
+    try {
+      const { summary } = await postRestore(source, true);
+      restoreSource = source;
+      restoreSummaryText.textContent = describeBackupSummary(summary);
+      restoreSummary.style.display = 'block';
+    } catch (err) {
+      showBackupMessage(backupError, err.message);
+    }
+  }
+
+  async function loadStoredBackups() {
+    try {
+      const response = await fetch('/admin/backups');
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to load backups');
+      
+      backupSchedule.textContent = (data.intervalHours
+        ? `Automatic backups every ${data.intervalHours} hour(s)`
+        : 'Scheduled backups are off') + `, and before Clear DB, claim migrations and restores. The newest ${data.keep} are kept` +
+        (data.includePasswords ? ', with password hashes.' : ', without password hashes.');
+      storedBackupsBody.innerHTML = '';
+      data.backups.forEach(b => {
+        const row = document.createElement('tr');
+        row.style.borderBottom = '1px solid #eee';
+        row.innerHTML = `
+          <td style="padding:8px;font-size:13px;"></td>
+          <td style="padding:8px;">${(b.size / 1024 / 1024).toFixed(1)} MB</td>
+          <td style="padding:8px;text-align:center;white-space:nowrap;">
+            <a style="margin-right:8px;">Download</a>
+            <button style="padding:4px 12px;background:#5cb85c;color:white;border:none;border-radius:4px;cursor:pointer;">Check</button>
+          </td>
+        `;
+        row.children[0].textContent = b.name;
+        row.querySelector('a').href = '/admin/backups/' + encodeURIComponent(b.name);
+        row.querySelector('button').addEventListener('click', () => checkBackup({ name: b.name }));
+        storedBackupsBody.appendChild(row);
+      });
+    } catch (err) {
+      showBackupMessage(backupError, err.message);
+    }
+  }
+
+  if (backupBtn) {
+    backupBtn.addEventListener('click', () => {
+      backupModal.style.display = 'flex';
+      showBackupMessage(null);
+      restoreSummary.style.display = 'none';
+      loadStoredBackups();
+    });
+  }
+
+  if (closeBackupBtn) {
+    closeBackupBtn.addEventListener('click', () => {
+      backupModal.style.display = 'none';
+    });
+  }
+
+  if (downloadBackupBtn) {
+    downloadBackupBtn.addEventListener('click', () => {
+      window.location.href = '/admin/backup' + (backupIncludePasswords.checked ? '?passwords=1' : '');
+    });
+  }
+
+  if (checkBackupBtn) {
+    checkBackupBtn.addEventListener('click', () => {
+      const file = restoreBackupFile.files[0];
+      if (!file) return showBackupMessage(backupError, 'Choose a backup file first');
+      checkBackup({ file });
+    });
+  }
+
+  if (applyRestoreBtn) {
+    applyRestoreBtn.addEventListener('click', async () => {
+      if (!restoreSource || !confirm('Replace the whole game with this backup? Everyone will be signed out.')) return;
+      applyRestoreBtn.disabled = true;
+      expectingMapChange = true;
+      try {
+        await postRestore(restoreSource, false);
+        alert('Backup restored. Reloading page...');
+        window.location.reload();
+      } catch (err) {
+        expectingMapChange = false;
+        showBackupMessage(backupError, err.message);
+      } finally {
+        applyRestoreBtn.disabled = false;
+      }
+    });
+  }
+
+  // Outbound webhooks (admin only)
+  const webhooksBtn = document.getElementById('webhooksBtn');
+  const webhooksModal = document.getElementById('webhooksModal');
+  const webhooksError = document.getElementById('webhooksError');
+  const webhooksBody = document.getElementById('webhooksBody');
+  const webhookSecretBox = document.getElementById('webhookSecretBox');
+  const webhookSecret = document.getElementById('webhookSecret');
+  const webhookDeliveries = document.getElementById('webhookDeliveries');
+  const webhookDeliveriesTitle = document.getElementById('webhookDeliveriesTitle');
+  const webhookDeliveriesBody = document.getElementById('webhookDeliveriesBody');
+  const webhookUrl = document.getElementById('webhookUrl');
+  const webhookFormat = document.getElementById('webhookFormat');
+  const webhookEvents = document.getElementById('webhookEvents');
+  const webhookSecretInput = document.getElementById('webhookSecretInput');
+  const addWebhookBtn = document.getElementById('addWebhookBtn');
+  const closeWebhooksBtn = document.getElementById('closeWebhooksBtn');
+  let shownDeliveriesFor = null; // webhook whose delivery log is open
+
+  function showWebhooksError(err) {
+    webhooksError.textContent = err.message;
+    webhooksError.style.display = 'block';
+  }
+
+  function showWebhookSecret(secret) {
+    webhookSecret.value = secret;
+    webhookSecretBox.style.display = 'block';
+    webhookSecret.select();
+  }
+
+  // JSON request to a webhook endpoint; throws with the server's error message
+  async function webhookRequest(url, method, body) {
+    const res = await fetch(url, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Server returned ' + res.status);
+    return data;
+  }
+
+  async function loadWebhookDeliveries(hook) {
+    shownDeliveriesFor = hook;
+    try {
+      const { deliveries } = await webhookRequest(`/admin/webhooks/${hook.id}/deliveries`, 'GET');
+      webhookDeliveriesTitle.textContent = 'Delivery Log: ' + hook.url;
+      webhookDeliveriesBody.innerHTML = deliveries.length ? '' : '<tr><td colspan="6" style="padding:8px;text-align:center;color:#999;">Nothing sent yet</td></tr>';
+      deliveries.forEach(d => {
+        const row = document.createElement('tr');
+        row.style.borderBottom = '1px solid #eee';
+        const color = { delivered: '#5cb85c', failed: '#d9534f', pending: '#f0ad4e' }[d.status];
+        row.innerHTML = `
+          <td style="padding:6px;">${new Date(d.createdAt).toLocaleString()}</td>
+          <td style="padding:6px;">${d.event}</td>
+          <td style="padding:6px;color:${color};">${d.status}</td>
+          <td style="padding:6px;">${d.attempts}</td>
+          <td style="padding:6px;"></td>
+          <td style="padding:6px;text-align:center;"></td>
+        `;
+        row.children[4].textContent = d.error
+          ? d.error + (d.nextAttemptAt ? `, retrying ${new Date(d.nextAttemptAt).toLocaleTimeString()}` : '')
+          : (d.responseStatus ? 'HTTP ' + d.responseStatus : '');
+        if (d.status === 'failed') {
+          const retry = document.createElement('button');
+          retry.textContent = 'Redeliver';
+          retry.style.cssText = 'padding:2px 8px;background:#007acc;color:white;border:none;border-radius:4px;cursor:pointer;';
+          retry.addEventListener('click', async () => {
+            try {
+              await webhookRequest(`/admin/webhooks/deliveries/${d.id}/redeliver`, 'POST');
+              setTimeout(() => loadWebhookDeliveries(hook), 1000);
+            } catch (err) {
+              showWebhooksError(err);
+            }
           });
-          html += '</table>';
-          filterResults.innerHTML = html;
+          row.children[5].appendChild(retry);
         }
+        webhookDeliveriesBody.appendChild(row);
+      });
+      webhookDeliveries.style.display = 'block';
+    } catch (err) {
+      showWebhooksError(err);
+    }
+  }
 
-        // Reload map to show purple highlights
-        await reloadSavedClaims();
+  async function loadWebhooks() {
+    webhooksError.style.display = 'none';
+    try {
+      const data = await webhookRequest('/admin/webhooks', 'GET');
+      
+      if (!webhookEvents.children.length) {
+        data.events.forEach(event => {
+          const label = document.createElement('label');
+          label.innerHTML = `<input type="checkbox" value="${event}" checked> ${event}`;
+          webhookEvents.appendChild(label);
+        });
+      }
+      
+      webhooksBody.innerHTML = data.webhooks.length ? '' : '<tr><td colspan="6" style="padding:12px;text-align:center;color:#999;">No webhooks yet</td></tr>';
+      data.webhooks.forEach(hook => {
+        const row = document.createElement('tr');
+        row.style.borderBottom = '1px solid #eee';
+        row.innerHTML = `
+          <td style="padding:8px;font-size:13px;word-break:break-all;"></td>
+          <td style="padding:8px;font-size:13px;">${hook.events.includes('*') ? 'all' : hook.events.join(', ')}</td>
+          <td style="padding:8px;">${hook.format}</td>
+          <td style="padding:8px;font-size:13px;">${hook.deliveries.delivered} ok, ${hook.deliveries.failed} failed${hook.deliveries.pending ? `, ${hook.deliveries.pending} pending` : ''}</td>
+          <td style="padding:8px;text-align:center;"><input type="checkbox" ${hook.enabled ? 'checked' : ''}></td>
+          <td style="padding:8px;text-align:center;white-space:nowrap;">
+            <button data-action="log" style="padding:4px 8px;background:#007acc;color:white;border:none;border-radius:4px;cursor:pointer;">Log</button>
+            <button data-action="test" style="padding:4px 8px;background:#5cb85c;color:white;border:none;border-radius:4px;cursor:pointer;">Test</button>
+            <button data-action="rotate" style="padding:4px 8px;background:#f0ad4e;color:white;border:none;border-radius:4px;cursor:pointer;">New Secret</button>
+            <button data-action="delete" style="padding:4px 8px;background:#d9534f;color:white;border:none;border-radius:4px;cursor:pointer;">Delete</button>
+          </td>
+        `;
+        row.children[0].textContent = hook.url;
+        
+        row.querySelector('input[type="checkbox"]').addEventListener('change', async (e) => {
+          try {
+            await webhookRequest(`/admin/webhooks/${hook.id}`, 'POST', { enabled: e.target.checked });
+          } catch (err) {
+            e.target.checked = !e.target.checked;
+            showWebhooksError(err);
+          }
+        });
+        row.querySelector('[data-action="log"]').addEventListener('click', () => loadWebhookDeliveries(hook));
+        row.querySelector('[data-action="test"]').addEventListener('click', async () => {
+          try {
+            await webhookRequest(`/admin/webhooks/${hook.id}/test`, 'POST');
+            // Give the delivery a moment to go out before showing the log
+            setTimeout(() => loadWebhookDeliveries(hook), 1000);
+          } catch (err) {
+            showWebhooksError(err);
+          }
+        });
+        row.querySelector('[data-action="rotate"]').addEventListener('click', async () => {
+          if (!confirm('Generate a new signing secret? Receivers checking the old one will reject deliveries until updated.')) return;
+          try {
+            const result = await webhookRequest(`/admin/webhooks/${hook.id}`, 'POST', { rotateSecret: true });
+            showWebhookSecret(result.secret);
+          } catch (err) {
+            showWebhooksError(err);
+          }
+        });
+        row.querySelector('[data-action="delete"]').addEventListener('click', async () => {
+          if (!confirm(`Delete the webhook for ${hook.url} and its delivery log?`)) return;
+          try {
+            await webhookRequest(`/admin/webhooks/${hook.id}`, 'DELETE');
+            if (shownDeliveriesFor && shownDeliveriesFor.id === hook.id) webhookDeliveries.style.display = 'none';
+            loadWebhooks();
+          } catch (err) {
+            showWebhooksError(err);
+          }
+        });
+        webhooksBody.appendChild(row);
+      });
+    } catch (err) {
+      showWebhooksError(err);
+    }
+  }
 
-        filterClaimsSuccess.textContent = `${data.count} claim(s) highlighted in purple`;
-        filterClaimsSuccess.style.display = 'block';
+  if (webhooksBtn) {
+    webhooksBtn.addEventListener('click', () => {
+      webhookSecretBox.style.display = 'none';
+      webhookSecret.value = '';
+      webhookDeliveries.style.display = 'none';
+      shownDeliveriesFor = null;
+      webhooksModal.style.display = 'flex';
+      loadWebhooks();
+    });
+  }
+
+  if (closeWebhooksBtn) {
+    closeWebhooksBtn.addEventListener('click', () => {
+      webhooksModal.style.display = 'none';
+      webhookSecret.value = '';
+    });
+  }
+
+  if (addWebhookBtn) {
+    addWebhookBtn.addEventListener('click', async () => {
+      const events = Array.from(webhookEvents.querySelectorAll('input:checked')).map(cb => cb.value);
+      try {
+        webhooksError.style.display = 'none';
+        const result = await webhookRequest('/admin/webhooks', 'POST', {
+          url: webhookUrl.value.trim(),
+          format: webhookFormat.value,
+          events,
+          secret: webhookSecretInput.value || undefined
+        });
+        showWebhookSecret(result.secret);
+        webhookUrl.value = '';
+        webhookSecretInput.value = '';
+        loadWebhooks();
       } catch (err) {
-        console.error('Failed to search claims:', err);
-        filterClaimsError.textContent = err.message;
-        filterClaimsError.style.display = 'block';
+        showWebhooksError(err);
       }
     });
   }
@@ -1376,13 +3189,16 @@ document.addEventListener('DOMContentLoaded', async () => {
       filterPlayer.value = '';
       filterTeam.value = '';
       filterDate.value = '';
+      filterProtected.checked = false;
       filteredClaimIds.clear();
+      selectedClaimIds.clear();
+      lastClaimResults = [];
       filterResultsContainer.style.display = 'none';
       filterClaimsError.style.display = 'none';
       filterClaimsSuccess.style.display = 'none';
       
-      // Reload map to remove purple highlights
-      await reloadSavedClaims();
+      // Repaint map to remove purple highlights
+      repaintSavedClaims();
     });
   }
 
@@ -0,0 +1,250 @@
+const { PNG } = require('pngjs');
+
+// Region index: every connected area of white (RGB 255,255,255) pixels in the
+// map image gets a numbered region id. Connectivity is 4-neighbour, matching
+// the flood fill main.js uses to paint claims, so a region here is exactly the
+// area a fill started anywhere inside it would cover.
+
+function isWhiteAt(data, i) {
+  const idx = i * 4;
+  return data[idx] === 255 && data[idx + 1] === 255 && data[idx + 2] === 255;
+}
+
+// Decode a PNG buffer and label its regions.
+// Returns { width, height, data, labels, regions } where labels[y * width + x]
+// is the region id of that pixel (0 for border/non-white pixels) and
+// regions[id] = { id, x, y, area, minX, minY, maxX, maxY }. (x, y) is the
+// first pixel of the region in scan order, so it is always inside the region.
+// neighbours[id] lists the regions sharing a border with region id.
+function buildRegionIndex(pngBuffer) {
+  const png = PNG.sync.read(pngBuffer);
+  const { width, height, data } = png;
+  const total = width * height;
+  const labels = new Int32Array(total);
+  const stack = new Int32Array(total);
+  const regions = [null]; // region ids start at 1
+
+  for (let start = 0; start < total; start++) {
+    if (labels[start] !== 0 || !isWhiteAt(data, start)) continue;
+
+    const id = regions.length;
+    const region = {
+      id,
+      x: start % width,
+      y: Math.floor(start / width),
+      area: 0,
+      minX: width, minY: height, maxX: -1, maxY: -1
+    };
+
+    // Pixels are labelled when pushed so each one enters the stack at most once
+    let top = 0;
+    stack[top++] = start;
+    labels[start] = id;
+    while (top > 0) {
+      const i = stack[--top];
+      const x = i % width;
+      const y = (i - x) / width;
+      region.area++;
+      if (x < region.minX) region.minX = x;
+      if (x > region.maxX) region.maxX = x;
+      if (y < region.minY) region.minY = y;
+      if (y > region.maxY) region.maxY = y;
+
+      if (x > 0 && labels[i - 1] === 0 && isWhiteAt(data, i - 1)) { labels[i - 1] = id; stack[top++] = i - 1; }
+      if (x < width - 1 && labels[i + 1] === 0 && isWhiteAt(data, i + 1)) { labels[i + 1] = id; stack[top++] = i + 1; }
+      if (y > 0 && labels[i - width] === 0 && isWhiteAt(data, i - width)) { labels[i - width] = id; stack[top++] = i - width; }
+      if (y < height - 1 && labels[i + width] === 0 && isWhiteAt(data, i + width)) { labels[i + width] = id; stack[top++] = i + width; }
+    }
+
+    regions.push(region);
+  }
+
+  const neighbours = buildNeighbours(width, height, labels, regions.length);
+  return { width, height, data, labels, regions, neighbours };
+}
+
+// Regions are separated by border lines rather than touching directly, so two regions are
+// neighbours when growing each of them outward over non-white pixels (at most maxGap pixels
+// per side) makes them meet. Returns neighbours[id] = sorted array of neighbouring region ids.
+function buildNeighbours(width, height, labels, regionCount, maxGap = 3) {
+  const owner = Int32Array.from(labels);
+  const links = [];
+  for (let id = 0; id < regionCount; id++) links.push(new Set());
+
+  const link = (a, b) => {
+    if (a === b) return;
+    links[a].add(b);
+    links[b].add(a);
+  };
+
+  // Start from region pixels on the edge of their region
+  let frontier = [];
+  for (let i = 0; i < owner.length; i++) {
+    if (owner[i] === 0) continue;
+    const x = i % width;
+    if ((x > 0 && owner[i - 1] === 0) || (x < width - 1 && owner[i + 1] === 0) ||
+        (i >= width && owner[i - width] === 0) || (i + width < owner.length && owner[i + width] === 0)) {
+      frontier.push(i);
+    }
+  }
+
+  for (let step = 0; step <= maxGap && frontier.length; step++) {
+    const next = [];
+    for (const i of frontier) {
+      const id = owner[i];
+      const x = i % width;
+      const visit = (n) => {
+        const other = owner[n];
+        if (other === 0) {
+          if (step < maxGap) {
+            owner[n] = id;
+            next.push(n);
+          }
+        } else {
+          link(id, other);
+        }
+      };
+      if (x > 0) visit(i - 1);
+      if (x < width - 1) visit(i + 1);
+      if (i >= width) visit(i - width);
+      if (i + width < owner.length) visit(i + width);
+    }
+    frontier = next;
+  }
+
+  return links.map(set => Array.from(set).sort((a, b) => a - b));
+}
+
+// Region id under an image pixel, or 0 if the pixel is a border or off the map
+function regionAt(index, x, y) {
+  x = Math.floor(x);
+  y = Math.floor(y);
+  if (!index || x < 0 || y < 0 || x >= index.width || y >= index.height) return 0;
+  return index.labels[y * index.width + x];
+}
+
+// Region id under (x, y), or of the nearest white pixel within maxRadius when
+// the seed itself sits on a border. Returns 0 if nothing is found.
+function findRegionNear(index, x, y, maxRadius = 20) {
+  const direct = regionAt(index, x, y);
+  if (direct || !index) return direct;
+
+  const sx = Math.floor(x), sy = Math.floor(y);
+  let best = 0;
+  let bestDist2 = maxRadius * maxRadius + 1;
+  for (let dy = -maxRadius; dy <= maxRadius; dy++) {
+    for (let dx = -maxRadius; dx <= maxRadius; dx++) {
+      const d2 = dx * dx + dy * dy;
+      if (d2 >= bestDist2) continue;
+      const id = regionAt(index, sx + dx, sy + dy);
+      if (id) {
+        best = id;
+        bestDist2 = d2;
+      }
+    }
+  }
+  return best;
+}
+
+// Outline of a region as polygon rings in pixel-corner coordinates (pixel (x, y) covers
+// x..x+1, y..y+1). Returns [outer, ...holes]; each ring is a closed list of [x, y] points with
+// only the corners kept. Outer rings have a positive shoelace area in image coordinates and
+// holes a negative one. Where two pixels of the region touch only diagonally the outline turns
+// so they stay apart, matching the 4-neighbour connectivity of the labelling.
+function traceRegionOutline(index, regionId) {
+  const region = index.regions[regionId];
+  if (!region) return [];
+  const { labels, width } = index;
+  const x0 = region.minX, y0 = region.minY;
+  const w = region.maxX - x0 + 1, h = region.maxY - y0 + 1;
+  const inside = (x, y) => x >= 0 && y >= 0 && x < w && y < h && labels[(y + y0) * width + x + x0] === regionId;
+
+  // Directions 0 east, 1 south, 2 west, 3 north; (d + 1) % 4 is a right turn (y points down).
+  // Boundary edges run clockwise around the region, one bit per direction at their start corner.
+  const DX = [1, 0, -1, 0], DY = [0, 1, 0, -1];
+  const cols = w + 1;
+  const edges = new Uint8Array(cols * (h + 1));
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      if (!inside(x, y)) continue;
+      if (!inside(x, y - 1)) edges[y * cols + x] |= 1 << 0;
+      if (!inside(x + 1, y)) edges[y * cols + x + 1] |= 1 << 1;
+      if (!inside(x, y + 1)) edges[(y + 1) * cols + x + 1] |= 1 << 2;
+      if (!inside(x - 1, y)) edges[(y + 1) * cols + x] |= 1 << 3;
+    }
+  }
+
+  const rings = [];
+  for (let start = 0; start < edges.length; start++) {
+    while (edges[start]) {
+      const firstDir = Math.log2(edges[start] & -edges[start]);
+      let d = firstDir;
+      let v = start;
+      const ring = [];
+      for (;;) {
+        edges[v] &= ~(1 << d);
+        const vx = v % cols, vy = (v - vx) / cols;
+        v = (vy + DY[d]) * cols + vx + DX[d];
+        const next = [(d + 1) % 4, d, (d + 3) % 4].find(n => edges[v] & (1 << n));
+        if (next === undefined) break;
+        if (next !== d) ring.push([vx + DX[d] + x0, vy + DY[d] + y0]);
+        d = next;
+      }
+      // The trace ends back at start; close the ring there
+      if (d !== firstDir) ring.push([start % cols + x0, Math.floor(start / cols) + y0]);
+      if (ring.length) ring.push(ring[0]);
+      rings.push(ring);
+    }
+  }
+
+  const signedArea = (ring) => {
+    let sum = 0;
+    for (let i = 0; i + 1 < ring.length; i++) sum += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+    return sum / 2;
+  };
+  return rings.filter(r => r.length > 3).sort((a, b) => signedArea(b) - signedArea(a));
+}
+
+function hexToRgb(hex) {
+  const m = String(hex || '#000000').replace('#', '');
+  const full = m.length === 3 ? m.split('').map(c => c + c).join('') : m;
+  const n = parseInt(full, 16);
+  if (full.length !== 6 || isNaN(n)) return [0, 0, 0];
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+// Render the base map with regions filled in, as a PNG buffer.
+// fills is a list of { regionId, color } (hex color); later entries win when a region repeats.
+function renderMapPNG(index, fills) {
+  const { width, labels, regions } = index;
+  const png = new PNG({ width: index.width, height: index.height, filterType: 4 });
+  index.data.copy(png.data);
+  const data = png.data;
+
+  for (const { regionId, color } of fills) {
+    const region = regions[regionId];
+    if (!region) continue;
+    const [r, g, b] = hexToRgb(color);
+    for (let y = region.minY; y <= region.maxY; y++) {
+      for (let x = region.minX; x <= region.maxX; x++) {
+        const i = y * width + x;
+        if (labels[i] !== regionId) continue;
+        data[i * 4] = r;
+        data[i * 4 + 1] = g;
+        data[i * 4 + 2] = b;
+        data[i * 4 + 3] = 255;
+      }
+    }
+  }
+
+  // pack() deflates through zlib streams, keeping most of the work off the event loop
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    png.pack()
+      .on('data', chunk => chunks.push(chunk))
+      .on('end', () => resolve(Buffer.concat(chunks)))
+      .on('error', reject);
+  });
+}
+
+module.exports = { buildRegionIndex, regionAt, findRegionNear, traceRegionOutline, renderMapPNG };
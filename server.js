@@ -5,6 +5,13 @@ const fs = require('fs');
 const multer = require('multer');
 const bcrypt = require('bcrypt');
 const session = require('express-session');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+const { buildRegionIndex, regionAt, findRegionNear, traceRegionOutline, renderMapPNG } = require('./regionIndex');
+const { SqliteSessionStore } = require('./sessionStore');
+const { WebhookDispatcher, WEBHOOK_EVENTS, WEBHOOK_FORMATS } = require('./webhooks');
 
 const upload = multer({ dest: 'uploads/' });
 
@@ -21,7 +28,7 @@ function getServerLocalDate() {
   return `${year}-${month}-${day}`;
 }
 
-// Load server settings for admin list
+// Load server settings (the Admins list only seeds users.role once, when that column is added)
 let serverSettings = { Admins: [] };
 try {
   const settingsPath = path.join(__dirname, 'ServerSettings.json');
@@ -31,14 +38,107 @@ try {
   console.warn('Could not load ServerSettings.json for admin list:', err.message);
 }
 
+// Settings an admin can change in-app (POST /admin/settings). Changes are stored in the
+// settings table and override ServerSettings.json, which still provides the defaults.
+const EDITABLE_SETTINGS = ['Teams', 'defaultDailyClaimLimit', 'mapImage', 'claimProtectionMinutes', 'adjacencyRule', 'regionStrength', 'rateLimits'];
+
+// Editable settings only admins see; rate limits would tell a scripted client how far it can push
+const ADMIN_ONLY_SETTINGS = ['rateLimits'];
+
+// The settings admins edit (everything but the Admins seed list)
+function editableSettings() {
+  const out = {};
+  EDITABLE_SETTINGS.forEach(key => {
+    if (serverSettings[key] !== undefined) out[key] = serverSettings[key];
+  });
+  return out;
+}
+
+// The settings every client sees
+function publicSettings() {
+  const out = editableSettings();
+  ADMIN_ONLY_SETTINGS.forEach(key => delete out[key]);
+  return out;
+}
+
+// Region index of the current map image (see regionIndex.js).
+// regionIndexGeneration counts rebuilds so caches keyed on it go stale with the map.
+let regionIndex = null;
+let regionIndexGeneration = 0;
+
+// Map paths in settings are relative to the app directory, except uploaded map versions
+// under maps/, which live next to the database (resources/ may be mounted read-only)
+function resolveMapPath(mapImage) {
+  return mapImage.startsWith('maps/')
+    ? path.join(path.dirname(dbFile), mapImage)
+    : path.join(__dirname, mapImage);
+}
+
+function loadRegionIndex(mapImage) {
+  const mapPath = resolveMapPath(mapImage);
+  const started = Date.now();
+  const index = buildRegionIndex(fs.readFileSync(mapPath));
+  console.log(`Indexed ${index.regions.length - 1} regions in ${mapImage} (${Date.now() - started}ms)`);
+  return index;
+}
+
+if (serverSettings.mapImage) {
+  try {
+    regionIndex = loadRegionIndex(serverSettings.mapImage);
+    regionIndexGeneration++;
+  } catch (err) {
+    console.warn('Could not build region index for', serverSettings.mapImage, err.message);
+  }
+}
+
+// Switch to a new map's region index: drops map-specific state and re-derives claim regions
+function activateRegionIndex(newIndex, callback) {
+  regionIndex = newIndex;
+  regionIndexGeneration++;
+  // Region ids refer to the old map
+  db.run('DELETE FROM capture_progress');
+  reindexClaimRegions(callback);
+}
+
+// Re-derive region_id for every claim from its stored seed pixel.
+// Needed whenever the region index is rebuilt, since region ids are map-specific.
+function reindexClaimRegions(callback) {
+  const done = callback || ((err) => { if (err) console.error('Failed to reindex claim regions:', err); });
+  if (!regionIndex) return done(null, 0);
+
+  db.all('SELECT id, x, y, region_id FROM claims', (err, rows) => {
+    if (err) return done(err);
+
+    const updates = [];
+    for (const row of rows) {
+      const regionId = findRegionNear(regionIndex, row.x, row.y, 80) || null;
+      if (regionId !== row.region_id) updates.push([regionId, row.id]);
+    }
+    if (updates.length === 0) return done(null, 0);
+
+    withTransaction(async () => {
+      const revision = await bumpClaimsRevision();
+      for (const [regionId, id] of updates) {
+        await dbRun('UPDATE claims SET region_id = ?, revision = ? WHERE id = ?', [regionId, revision, id]);
+      }
+    }).then(() => {
+      console.log(`Updated region_id on ${updates.length} claim(s)`);
+      done(null, updates.length);
+    }, (err) => done(err));
+  });
+}
+
 // Ensure the directory exists for the database file
 const dbDir = path.dirname(dbFile);
+// Session secret and backups; only the owner may read it, and no route serves it
+const privateDir = path.join(dbDir, 'private');
 
 try {
   if (!fs.existsSync(dbDir)) {
     fs.mkdirSync(dbDir, { recursive: true });
   }
   fs.accessSync(dbDir, fs.constants.W_OK);
+  fs.mkdirSync(privateDir, { recursive: true, mode: 0o700 });
   console.log('Database directory ready:', dbDir);
 } catch (err) {
   console.error('Cannot write to database directory:', dbDir, err);
@@ -54,8 +154,81 @@ const db = new sqlite3.Database(dbFile, (err) => {
   console.log('Database opened:', dbFile);
 });
 
+// Transactions get a connection of their own (see withTransaction), so a ROLLBACK only ever
+// undoes the transaction's own statements and never a session save, webhook log entry or other
+// write made on the main connection meanwhile. Each connection waits for the other's write lock.
+const txDb = new sqlite3.Database(dbFile, (err) => {
+  if (err) {
+    console.error('Failed to open database:', dbFile, err);
+    process.exit(1);
+  }
+});
+db.configure('busyTimeout', 10000);
+txDb.configure('busyTimeout', 10000);
+const transactionContext = new AsyncLocalStorage();
+
+// Connection for the caller: the transaction's inside withTransaction(), else the main one
+function currentDb() {
+  return transactionContext.getStore() ? txDb : db;
+}
+
+// Promise wrappers for the sqlite3 callback API
+function dbRun(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    currentDb().run(sql, params, function(err) {
+      if (err) return reject(err);
+      resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+function dbGet(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    currentDb().get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
+
+function dbAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    currentDb().all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+// Run work() inside a transaction on txDb; dbRun/dbGet/dbAll called from work() use it.
+// Transactions share that one connection, so they are queued here to stop two requests
+// from interleaving their statements. Throwing from work() rolls everything back.
+let transactionQueue = Promise.resolve();
+function withTransaction(work) {
+  const run = transactionQueue.then(() => transactionContext.run(true, async () => {
+    await dbRun('BEGIN IMMEDIATE TRANSACTION');
+    try {
+      const result = await work();
+      await dbRun('COMMIT');
+      return result;
+    } catch (err) {
+      await dbRun('ROLLBACK').catch(() => {});
+      throw err;
+    }
+  }));
+  transactionQueue = run.catch(() => {});
+  return run;
+}
+
+// Error carrying an HTTP status and JSON body. Thrown from inside withTransaction() it rolls
+// the transaction back and the route still answers with a specific client error
+function httpError(status, body) {
+  const err = new Error(body.error);
+  err.status = status;
+  err.body = body;
+  return err;
+}
+
 // ensure table exists and perform lightweight migrations if necessary
 db.serialize(() => {
+  // Write-ahead logging: reads never block the transaction connection's writes, and a write on
+  // the main connection waits for a running transaction instead of failing as a deadlock
+  db.run('PRAGMA journal_mode = WAL');
+
   db.run(`CREATE TABLE IF NOT EXISTS claims (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     x REAL NOT NULL,
@@ -65,6 +238,32 @@ db.serialize(() => {
     color TEXT
   )`);
 
+  // Settings changed in-app; loaded before claims are re-indexed so a changed mapImage is used
+  db.run(`CREATE TABLE IF NOT EXISTS settings (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  )`);
+  db.all('SELECT key, value FROM settings', (err, rows) => {
+    if (err || !rows.length) return;
+    const previousMap = serverSettings.mapImage;
+    for (const row of rows) {
+      try {
+        serverSettings[row.key] = JSON.parse(row.value);
+      } catch (parseErr) {
+        console.warn('Ignoring unreadable setting', row.key);
+      }
+    }
+    console.log('Loaded settings from database:', rows.map(r => r.key).join(', '));
+    if (serverSettings.mapImage !== previousMap) {
+      try {
+        regionIndex = loadRegionIndex(serverSettings.mapImage);
+        regionIndexGeneration++;
+      } catch (indexErr) {
+        console.warn('Could not build region index for', serverSettings.mapImage, indexErr.message);
+      }
+    }
+  });
+
   db.all(`PRAGMA table_info(claims)`, (err, cols) => {
     if (err) return;
     const names = cols.map(c => c.name);
@@ -102,6 +301,148 @@ db.serialize(() => {
         if (!err2) console.log('Added last_claim_date column to users');
       });
     }
+    if (!names.includes('team')) {
+      db.run(`ALTER TABLE users ADD COLUMN team TEXT`, (err2) => {
+        if (!err2) console.log('Added team column to users');
+      });
+    }
+    // Failed login tracking for account lockouts (see rateLimitSettings)
+    if (!names.includes('failed_logins')) {
+      db.run(`ALTER TABLE users ADD COLUMN failed_logins INTEGER DEFAULT 0`, (err2) => {
+        if (!err2) console.log('Added failed_logins column to users');
+      });
+    }
+    if (!names.includes('last_failed_login')) {
+      db.run(`ALTER TABLE users ADD COLUMN last_failed_login TEXT`, (err2) => {
+        if (!err2) console.log('Added last_failed_login column to users');
+      });
+    }
+    if (!names.includes('locked_until')) {
+      db.run(`ALTER TABLE users ADD COLUMN locked_until TEXT`, (err2) => {
+        if (!err2) console.log('Added locked_until column to users');
+      });
+    }
+    // Bumped to sign out every session of the account (password change, reset)
+    if (!names.includes('session_epoch')) {
+      db.run(`ALTER TABLE users ADD COLUMN session_epoch INTEGER DEFAULT 0`, (err2) => {
+        if (!err2) console.log('Added session_epoch column to users');
+      });
+    }
+    // Set by an admin password reset until the temporary password has been replaced
+    if (!names.includes('must_change_password')) {
+      db.run(`ALTER TABLE users ADD COLUMN must_change_password INTEGER DEFAULT 0`, (err2) => {
+        if (!err2) console.log('Added must_change_password column to users');
+      });
+    }
+    if (!names.includes('role')) {
+      db.run(`ALTER TABLE users ADD COLUMN role TEXT DEFAULT 'player'`, (err2) => {
+        if (err2) return;
+        console.log('Added role column to users');
+        // Existing accounts named in the settings Admins list start out as admins
+        const admins = serverSettings.Admins || [];
+        if (admins.length) {
+          db.run(`UPDATE users SET role = 'admin' WHERE username IN (${admins.map(() => '?').join(',')})`, admins);
+        }
+      });
+    }
+  });
+
+  // Key/value store for server state such as the claim sync revision
+  db.run(`CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  )`);
+  db.run(`INSERT OR IGNORE INTO meta (key, value) VALUES ('claims_revision', 0), ('claims_reset_revision', 0)`);
+
+  // Deleted claims, so GET /claims?since= can tell clients what disappeared
+  db.run(`CREATE TABLE IF NOT EXISTS claim_tombstones (
+    claim_id INTEGER PRIMARY KEY,
+    region_id INTEGER,
+    revision INTEGER NOT NULL
+  )`);
+
+  // Append-only history of claim changes, for settling disputes
+  db.run(`CREATE TABLE IF NOT EXISTS claim_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    action TEXT NOT NULL,
+    claim_id INTEGER,
+    region_id INTEGER,
+    team TEXT,
+    player TEXT,
+    actor_id INTEGER,
+    actor TEXT,
+    cause TEXT,
+    created_at TEXT NOT NULL
+  )`);
+
+  // Partial progress of teams capturing enemy-held regions (see regionStrengthSettings)
+  db.run(`CREATE TABLE IF NOT EXISTS capture_progress (
+    region_id INTEGER NOT NULL,
+    team TEXT NOT NULL,
+    points INTEGER NOT NULL,
+    updated_at TEXT NOT NULL,
+    PRIMARY KEY (region_id, team)
+  )`);
+
+  // What each claim confirmation changed, so its player can undo it for a short while
+  // (see undoWindowMs). Claim ids and capture progress snapshots are JSON arrays.
+  db.run(`CREATE TABLE IF NOT EXISTS claim_confirmations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    revision INTEGER NOT NULL,
+    claim_date TEXT NOT NULL,
+    usage_charged INTEGER NOT NULL DEFAULT 0,
+    inserted TEXT NOT NULL,
+    removed TEXT NOT NULL,
+    contested TEXT NOT NULL,
+    progress TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    undone_at TEXT
+  )`);
+
+  // Bulk actions moderators and admins took on claims (see POST /admin/claims/bulk)
+  db.run(`CREATE TABLE IF NOT EXISTS admin_actions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    action TEXT NOT NULL,
+    actor_id INTEGER,
+    actor TEXT,
+    claim_count INTEGER NOT NULL,
+    details TEXT,
+    created_at TEXT NOT NULL
+  )`);
+
+  // Personal API tokens (see authenticateApiToken); only a SHA-256 of each token is stored
+  db.run(`CREATE TABLE IF NOT EXISTS api_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    prefix TEXT NOT NULL,
+    scopes TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    expires_at TEXT,
+    last_used_at TEXT
+  )`);
+
+  // Every map image the server has used; rolling back means activating an older version
+  db.run(`CREATE TABLE IF NOT EXISTS map_versions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    file TEXT NOT NULL,
+    width INTEGER,
+    height INTEGER,
+    regions INTEGER,
+    original_name TEXT,
+    uploaded_by TEXT,
+    created_at TEXT NOT NULL
+  )`);
+  db.get('SELECT COUNT(*) AS count FROM map_versions', (err, row) => {
+    // The map in use before versioning becomes version 1
+    if (err || row.count > 0 || !serverSettings.mapImage) return;
+    db.run(
+      'INSERT INTO map_versions (file, width, height, regions, original_name, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+      [serverSettings.mapImage, regionIndex ? regionIndex.width : null, regionIndex ? regionIndex.height : null,
+        regionIndex ? regionIndex.regions.length - 1 : null, path.basename(serverSettings.mapImage), new Date().toISOString()]
+    );
   });
 
   // Add user_id to claims table
@@ -118,45 +459,434 @@ db.serialize(() => {
         if (!err2) console.log('Added player column to claims');
       });
     }
+    if (!names.includes('created_at')) {
+      // Server-side timestamps for the replay timeline; older rows fall back to their client date
+      db.run(`ALTER TABLE claims ADD COLUMN created_at TEXT`, (err2) => {
+        if (!err2) console.log('Added created_at column to claims');
+        db.run(`UPDATE claims SET created_at = date WHERE created_at IS NULL`);
+      });
+    }
+    // Start of the protection window when it is not created_at (a claim moved by a bulk reassign
+    // keeps the window of the claim it replaced)
+    if (!names.includes('protected_from')) {
+      db.run(`ALTER TABLE claims ADD COLUMN protected_from TEXT`, (err2) => {
+        if (!err2) console.log('Added protected_from column to claims');
+      });
+    }
+    if (!names.includes('ended_at')) {
+      db.run(`ALTER TABLE claims ADD COLUMN ended_at TEXT`, (err2) => {
+        if (!err2) console.log('Added ended_at column to claims');
+      });
+    }
+    if (!names.includes('revision')) {
+      db.run(`ALTER TABLE claims ADD COLUMN revision INTEGER DEFAULT 0`, (err2) => {
+        if (!err2) console.log('Added revision column to claims');
+      });
+    }
+    if (!names.includes('region_id')) {
+      db.run(`ALTER TABLE claims ADD COLUMN region_id INTEGER`, (err2) => {
+        if (!err2) console.log('Added region_id column to claims');
+        reindexClaimRegions();
+      });
+    } else {
+      reindexClaimRegions();
+    }
   });
 });
 
-// Session middleware
+// Session secret: SESSION_SECRET, else one generated on first run and kept in privateDir
+function loadSessionSecret() {
+  if (process.env.SESSION_SECRET) return process.env.SESSION_SECRET;
+  const secretFile = path.join(privateDir, 'session-secret');
+  // Earlier versions kept it next to the database; move it so sessions survive the upgrade
+  const legacyFile = path.join(dbDir, 'session-secret');
+  if (fs.existsSync(legacyFile) && !fs.existsSync(secretFile)) {
+    fs.renameSync(legacyFile, secretFile);
+    console.log('Moved the session secret to', secretFile);
+  }
+  try {
+    const stored = fs.readFileSync(secretFile, 'utf8').trim();
+    if (stored) return stored;
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  const secret = crypto.randomBytes(32).toString('hex');
+  fs.writeFileSync(secretFile, secret + '\n', { mode: 0o600 });
+  console.log('Generated a session secret in', secretFile);
+  return secret;
+}
+
+// Cookie options from ServerSettings.json "session". Behind an HTTPS proxy set secureCookies
+// and trustProxy (the proxy's X-Forwarded-* headers then also give rate limits the client IP).
+const sessionConfig = {
+  secureCookies: false,
+  sameSite: 'lax',
+  maxAgeHours: 24,
+  trustProxy: false,
+  ...serverSettings.session
+};
+if (sessionConfig.trustProxy) app.set('trust proxy', sessionConfig.trustProxy);
+
+// Personal API tokens for bots and scripts, sent as "Authorization: Bearer <token>". A token acts
+// as its owner within its scopes: every token can read what requireAuth guards, 'claim' also
+// allows its writes (claiming, deleting own claims) and 'admin' is needed for anything
+// requirePermission guards, reads included, still limited by the owner's role. Token requests
+// get a plain session-like object instead of a cookie session, so express-session leaves them
+// alone.
+const API_TOKEN_SCOPES = ['read', 'claim', 'admin'];
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function hashApiToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Whether a token request may go past requireAuth (scope 'claim', which reads skip) or
+// requirePermission ('admin', for every method: admin reads list users, backups and webhooks)
+function apiTokenAllows(req, scope) {
+  if (!req.apiToken) return true;
+  if (scope === 'claim' && SAFE_METHODS.includes(req.method)) return true;
+  return req.apiToken.scopes.includes(scope);
+}
+
+async function authenticateApiToken(req, res, next) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+  if (!match) return next();
+  try {
+    const row = await dbGet(
+      `SELECT t.id, t.scopes, t.expires_at, t.last_used_at, u.id AS user_id, u.username, u.session_epoch
+       FROM api_tokens t JOIN users u ON u.id = t.user_id WHERE t.token_hash = ?`,
+      [hashApiToken(match[1])]
+    );
+    const now = Date.now();
+    if (!row || (row.expires_at && Date.parse(row.expires_at) <= now)) {
+      return res.status(401).json({ error: 'Invalid or expired API token' });
+    }
+    // last_used_at is only kept to the minute, to spare a write on every request
+    if (!row.last_used_at || now - Date.parse(row.last_used_at) > 60 * 1000) {
+      dbRun('UPDATE api_tokens SET last_used_at = ? WHERE id = ?', [new Date(now).toISOString(), row.id])
+        .catch(err => console.error('Failed to record API token use:', err));
+    }
+    req.apiToken = { id: row.id, scopes: JSON.parse(row.scopes) };
+    req.session = { userId: row.user_id, username: row.username, epoch: row.session_epoch || 0 };
+    next();
+  } catch (err) {
+    console.error('Failed to check API token:', err);
+    res.status(500).json({ error: 'Failed to check API token' });
+  }
+}
+
+// Sessions live in the database, so restarts keep everyone signed in.
+// Kept so a restore can sign everyone out (user ids may point at different accounts afterwards).
+const sessionStore = new SqliteSessionStore(db);
+const webhooks = new WebhookDispatcher(db, { userAgent: 'tem-claim-map-webhooks' });
+
+app.use(authenticateApiToken);
+
 app.use(session({
-  secret: 'tem-claim-map-secret-change-in-production',
+  store: sessionStore,
+  secret: loadSessionSecret(),
   resave: false,
   saveUninitialized: false,
   cookie: { 
-    secure: false, // set to true if using HTTPS
-    maxAge: 24 * 60 * 60 * 1000 // 24 hours
+    secure: !!sessionConfig.secureCookies,
+    sameSite: sessionConfig.sameSite,
+    httpOnly: true,
+    maxAge: sessionConfig.maxAgeHours * 60 * 60 * 1000
   }
 }));
 
 app.use(express.json());
 
+// Sessions remember the account's session_epoch from sign-in. Bumping the column, or deleting
+// the account, signs those sessions out on their next request.
+app.use(async (req, res, next) => {
+  if (!req.session || !req.session.userId) return next();
+  try {
+    const user = await dbGet('SELECT session_epoch, must_change_password FROM users WHERE id = ?', [req.session.userId]);
+    if (!user || (user.session_epoch || 0) !== (req.session.epoch || 0)) {
+      // A fresh, signed-out session (rather than none) so /auth/me can still issue a CSRF token
+      return req.session.regenerate(() => next());
+    }
+    req.mustChangePassword = !!user.must_change_password;
+    next();
+  } catch (err) {
+    console.error('Failed to check session:', err);
+    res.status(500).json({ error: 'Failed to check session' });
+  }
+});
+
+// CSRF protection: every POST/PUT/PATCH/DELETE must carry the session's token (issued by
+// /auth/me) in an X-CSRF-Token header, and must not come from another site's page when the
+// browser says where it came from (Origin, or Referer as a fallback).
+function csrfTokenFor(req) {
+  if (!req.session.csrfToken) req.session.csrfToken = crypto.randomBytes(24).toString('base64url');
+  return req.session.csrfToken;
+}
+
+function csrfRejected(res, error) {
+  return res.status(403).json({ error, csrf: true });
+}
+
+app.use((req, res, next) => {
+  // Browsers never attach bearer tokens on their own, so token requests need no CSRF check
+  if (SAFE_METHODS.includes(req.method) || req.apiToken) return next();
+
+  const source = req.get('origin') || req.get('referer');
+  if (source) {
+    let host = null;
+    try {
+      host = new URL(source).host;
+    } catch (err) {
+      // unparseable (e.g. Origin: null) counts as cross-site
+    }
+    if (host !== req.get('host')) {
+      return csrfRejected(res, 'Request blocked: it came from another site');
+    }
+  }
+
+  const expected = req.session && req.session.csrfToken;
+  const token = req.get('x-csrf-token');
+  if (!expected || !token || token.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected))) {
+    return csrfRejected(res, 'Missing or expired security token. Reload the page and try again');
+  }
+  next();
+});
+
+// Sent while a user signed in with a temporary password has not chosen a new one yet
+function passwordChangeRequired(res) {
+  return res.status(403).json({ error: 'Choose a new password before continuing', mustChangePassword: true });
+}
+
 // Authentication middleware
 function requireAuth(req, res, next) {
   if (req.session && req.session.userId) {
+    if (req.mustChangePassword) return passwordChangeRequired(res);
+    if (!apiTokenAllows(req, 'claim')) {
+      return res.status(403).json({ error: "This API token does not have the 'claim' scope" });
+    }
     return next();
   }
   return res.status(401).json({ error: 'Authentication required' });
 }
 
-// Admin middleware
-function requireAdmin(req, res, next) {
-  if (!req.session || !req.session.userId) {
-    return res.status(401).json({ error: 'Authentication required' });
-  }
-  const isAdmin = serverSettings.Admins && serverSettings.Admins.includes(req.session.username);
-  if (!isAdmin) {
-    return res.status(403).json({ error: 'Admin access required' });
+// Roles stored in users.role and what each may do. Moderators look after claims and limits;
+// clearing the DB, uploading maps, teams and roles stay with admins.
+const ROLE_PERMISSIONS = {
+  player: [],
+  moderator: ['delete_any_claim', 'manage_limits', 'view_claims_admin'],
+  admin: [
+    'delete_any_claim', 'manage_limits', 'view_claims_admin',
+    'manage_teams', 'manage_roles', 'manage_settings', 'clear_claims', 'upload_map', 'unrestricted_claims',
+    'manage_backups', 'manage_accounts', 'manage_webhooks', 'reassign_claims'
+  ]
+};
+
+function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role || 'player'] || []).includes(permission);
+}
+
+// Permission middleware. The role is read from the DB on every request, so granting or
+// revoking a role takes effect immediately.
+function requirePermission(permission) {
+  return async (req, res, next) => {
+    if (!req.session || !req.session.userId) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (req.mustChangePassword) return passwordChangeRequired(res);
+    if (!apiTokenAllows(req, 'admin')) {
+      return res.status(403).json({ error: "This API token does not have the 'admin' scope" });
+    }
+    try {
+      const user = await dbGet('SELECT role FROM users WHERE id = ?', [req.session.userId]);
+      if (!user) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      if (!hasPermission(user.role, permission)) {
+        return res.status(403).json({ error: 'You do not have permission to do that' });
+      }
+      req.userRole = user.role || 'player';
+      return next();
+    } catch (err) {
+      console.error('Failed to check permissions:', err);
+      return res.status(500).json({ error: 'Failed to check permissions' });
+    }
+  };
+}
+
+// Rate limits (settings "rateLimits"); 0 turns a limit off. Failed logins are counted per
+// username (leading to a lockout) and per IP within loginWindowMinutes.
+const RATE_LIMIT_DEFAULTS = {
+  loginFailuresPerUser: 5,
+  loginFailuresPerIp: 20,
+  loginWindowMinutes: 15,
+  lockoutMinutes: 15,
+  registrationsPerIpPerHour: 5,
+  claimRequestsPerMinute: 30,
+  deleteRequestsPerMinute: 30,
+  exportRequestsPerMinute: 6,
+  streamsPerIp: 10
+};
+
+function rateLimitSettings() {
+  const configured = serverSettings.rateLimits || {};
+  const limits = { ...RATE_LIMIT_DEFAULTS };
+  Object.keys(limits).forEach(key => {
+    const value = Number(configured[key]);
+    if (configured[key] !== undefined && Number.isInteger(value) && value >= 0) limits[key] = value;
+  });
+  limits.loginWindowMinutes = Math.max(1, limits.loginWindowMinutes);
+  return limits;
+}
+
+// Recent hits per limiter bucket and key ('bucket:key' -> timestamps), kept in memory
+const rateLimitHits = new Map();
+
+// Milliseconds until the next hit fits under max hits per windowMs (0 if it fits now)
+function rateLimitWait(bucket, key, max, windowMs, now = Date.now()) {
+  if (!max) return 0;
+  const id = `${bucket}:${key}`;
+  const hits = (rateLimitHits.get(id) || []).filter(t => t > now - windowMs);
+  if (hits.length) rateLimitHits.set(id, hits);
+  else rateLimitHits.delete(id);
+  return hits.length >= max ? hits[hits.length - max] + windowMs - now : 0;
+}
+
+function recordRateLimitHit(bucket, key, now = Date.now()) {
+  const id = `${bucket}:${key}`;
+  const hits = rateLimitHits.get(id) || [];
+  hits.push(now);
+  rateLimitHits.set(id, hits);
+}
+
+// Forget hits older than any window so idle keys do not pile up
+setInterval(() => {
+  const cutoff = Date.now() - 60 * 60 * 1000;
+  rateLimitHits.forEach((hits, id) => {
+    if (hits[hits.length - 1] < cutoff) rateLimitHits.delete(id);
+  });
+}, 10 * 60 * 1000).unref();
+
+function tooManyRequests(res, waitMs, message) {
+  const retryAfter = Math.ceil(waitMs / 1000);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error: `${message}. Try again in ${retryAfter}s`, retryAfter });
+}
+
+// Middleware allowing rateLimitSettings()[setting] requests per windowMs, counted per signed-in
+// user, or per IP for anonymous requests (or always, with byIp)
+function rateLimit(bucket, setting, windowMs, byIp = false) {
+  return (req, res, next) => {
+    const key = !byIp && req.session && req.session.userId ? `user:${req.session.userId}` : `ip:${req.ip}`;
+    const wait = rateLimitWait(bucket, key, rateLimitSettings()[setting], windowMs);
+    if (wait) return tooManyRequests(res, wait, 'Too many requests');
+    recordRateLimitHit(bucket, key);
+    next();
+  };
+}
+
+// Count a failed login against an account, locking it once loginFailuresPerUser is reached
+async function recordLoginFailure(user, limits) {
+  const now = Date.now();
+  const windowMs = limits.loginWindowMinutes * 60 * 1000;
+  const recent = user.last_failed_login && Date.parse(user.last_failed_login) > now - windowMs;
+  const failures = (recent ? user.failed_logins || 0 : 0) + 1;
+  const lock = limits.loginFailuresPerUser && limits.lockoutMinutes && failures >= limits.loginFailuresPerUser;
+  await dbRun(
+    'UPDATE users SET failed_logins = ?, last_failed_login = ?, locked_until = ? WHERE id = ?',
+    [lock ? 0 : failures, new Date(now).toISOString(), lock ? new Date(now + limits.lockoutMinutes * 60 * 1000).toISOString() : null, user.id]
+  );
+  if (lock) console.log(`Locked account ${user.username} for ${limits.lockoutMinutes} minute(s) after ${failures} failed logins`);
+}
+
+// Whether a team name is one of the teams in ServerSettings.json
+function isKnownTeam(team) {
+  return typeof team === 'string' && !!serverSettings.Teams && Object.prototype.hasOwnProperty.call(serverSettings.Teams, team);
+}
+
+// Adjacency rule (ServerSettings.json "adjacencyRule"): when enabled, players may only claim
+// regions bordering their team's territory, or one of the team's starting regions.
+// startingPoints maps a team to [x, y] map pixels; a team with none configured may place
+// its first claim anywhere.
+function adjacencyRuleEnabled() {
+  return !!(serverSettings.adjacencyRule && serverSettings.adjacencyRule.enabled);
+}
+
+// Region ids of a team's starting points in the current region index
+function getStartingRegions(team) {
+  const rule = serverSettings.adjacencyRule || {};
+  const points = (rule.startingPoints && rule.startingPoints[team]) || [];
+  const ids = new Set();
+  for (const [x, y] of points) {
+    const regionId = findRegionNear(regionIndex, Number(x), Number(y), 20);
+    if (regionId) ids.add(regionId);
   }
-  return next();
+  return ids;
 }
 
-// Register endpoint
-app.post('/auth/register', async (req, res) => {
-  const { username, password } = req.body;
+// Regions whose newest live claim belongs to the team
+async function getTeamRegions(team) {
+  const rows = await dbAll(
+    `SELECT c.region_id FROM claims c
+     WHERE c.ended_at IS NULL AND c.team = ? AND c.region_id IS NOT NULL
+       AND NOT EXISTS (SELECT 1 FROM claims d WHERE d.region_id = c.region_id AND d.ended_at IS NULL AND d.id > c.id)`,
+    [team]
+  );
+  return new Set(rows.map(r => r.region_id));
+}
+
+// Protection window (ServerSettings.json "claimProtectionMinutes"): for this long after a
+// region is claimed, other teams cannot take it. 0 or unset turns it off.
+function claimProtectionMs() {
+  return Math.max(0, Number(serverSettings.claimProtectionMinutes) || 0) * 60 * 1000;
+}
+
+// ISO time a claim stops being protected, or null if it is not protected now. The window starts
+// at protected_from, or created_at when that is not set.
+function protectedUntil(claim, now = Date.now()) {
+  const ms = claimProtectionMs();
+  const start = claim.protected_from || claim.created_at;
+  if (!ms || !start) return null;
+  const until = Date.parse(start) + ms;
+  return until > now ? new Date(until).toISOString() : null;
+}
+
+// Undo window (ServerSettings.json "undoWindowSeconds", default 2 minutes): how long a player
+// can take back their last claim confirmation. 0 turns undo off.
+function undoWindowMs() {
+  const seconds = serverSettings.undoWindowSeconds === undefined ? 120 : Number(serverSettings.undoWindowSeconds);
+  return Math.max(0, seconds || 0) * 1000;
+}
+
+// Region strength (ServerSettings.json "regionStrength"): when enabled, taking a region held by
+// another team needs claimsToCapture claims from the attacking team. Progress is kept per
+// region and team and loses one point every decayMinutes (0 = never decays).
+function regionStrengthSettings() {
+  const rule = serverSettings.regionStrength;
+  if (!rule || !rule.enabled) return null;
+  return {
+    claimsToCapture: Math.max(1, Math.floor(Number(rule.claimsToCapture)) || 3),
+    decayMinutes: Math.max(0, Number(rule.decayMinutes) || 0)
+  };
+}
+
+// Capture progress left on a capture_progress row after decay
+function decayedPoints(row, strength, now = Date.now()) {
+  if (!row) return 0;
+  if (!strength.decayMinutes) return row.points;
+  const elapsed = now - Date.parse(row.updated_at);
+  return Math.max(0, row.points - Math.floor(elapsed / (strength.decayMinutes * 60 * 1000)));
+}
+
+function isClaimableRegion(regionId, held, starting) {
+  if (held.has(regionId) || starting.has(regionId)) return true;
+  if (held.size === 0 && starting.size === 0) return true;
+  return (regionIndex.neighbours[regionId] || []).some(n => held.has(n));
+}
+
+// Register endpoint (optionally joining a team straight away)
+app.post('/auth/register', rateLimit('register', 'registrationsPerIpPerHour', 60 * 60 * 1000, true), async (req, res) => {
+  const { username, password, team } = req.body;
   
   if (!username || !password) {
     return res.status(400).json({ error: 'Username and password required' });
@@ -166,12 +896,17 @@ app.post('/auth/register', async (req, res) => {
     return res.status(400).json({ error: 'Username must be 3+ chars, password 6+ chars' });
   }
   
+  if (team !== undefined && team !== null && !isKnownTeam(team)) {
+    return res.status(400).json({ error: 'Unknown team' });
+  }
+  
   try {
     const passwordHash = await bcrypt.hash(password, 10);
     
+    // New accounts always start with the default role; only an admin can promote them
     db.run(
-      'INSERT INTO users (username, password_hash) VALUES (?, ?)',
-      [username, passwordHash],
+      'INSERT INTO users (username, password_hash, team) VALUES (?, ?, ?)',
+      [username, passwordHash, team || null],
       function(err) {
         if (err) {
           if (err.message.includes('UNIQUE')) {
@@ -183,6 +918,7 @@ app.post('/auth/register', async (req, res) => {
         
         req.session.userId = this.lastID;
         req.session.username = username;
+        req.session.epoch = 0;
         res.json({ ok: true, username });
       }
     );
@@ -200,8 +936,15 @@ app.post('/auth/login', (req, res) => {
     return res.status(400).json({ error: 'Username and password required' });
   }
   
+  const limits = rateLimitSettings();
+  const windowMs = limits.loginWindowMinutes * 60 * 1000;
+  const ipWait = rateLimitWait('login-failures', req.ip, limits.loginFailuresPerIp, windowMs);
+  if (ipWait) {
+    return tooManyRequests(res, ipWait, 'Too many failed logins from your address');
+  }
+  
   db.get(
-    'SELECT id, username, password_hash FROM users WHERE username = ?',
+    'SELECT id, username, password_hash, failed_logins, last_failed_login, locked_until, session_epoch, must_change_password FROM users WHERE username = ?',
     [username],
     async (err, user) => {
       if (err) {
@@ -210,18 +953,35 @@ app.post('/auth/login', (req, res) => {
       }
       
       if (!user) {
+        recordRateLimitHit('login-failures', req.ip);
         return res.status(401).json({ error: 'Invalid credentials' });
       }
+      const lockedMs = user.locked_until ? Date.parse(user.locked_until) - Date.now() : 0;
+      if (lockedMs > 0) {
+        return tooManyRequests(res, lockedMs, 'This account is temporarily locked after too many failed logins');
+      }
+      // Accounts restored from a backup without password hashes cannot sign in until reset
+      if (!user.password_hash) {
+        return res.status(401).json({ error: 'This account has no password set; ask an admin to reset it' });
+      }
       
       try {
         const match = await bcrypt.compare(password, user.password_hash);
         if (!match) {
+          recordRateLimitHit('login-failures', req.ip);
+          await recordLoginFailure(user, limits);
           return res.status(401).json({ error: 'Invalid credentials' });
         }
         
+        if (user.failed_logins || user.locked_until) {
+          await dbRun('UPDATE users SET failed_logins = 0, last_failed_login = NULL, locked_until = NULL WHERE id = ?', [user.id]);
+        }
+        // A temporary password from an admin reset stays valid until it is replaced, so a lost
+        // session can sign in again; until then the session can only change the password
         req.session.userId = user.id;
         req.session.username = user.username;
-        res.json({ ok: true, username: user.username });
+        req.session.epoch = user.session_epoch || 0;
+        res.json({ ok: true, username: user.username, mustChangePassword: !!user.must_change_password });
       } catch (err) {
         console.error('Password compare error:', err);
         res.status(500).json({ error: 'Login failed' });
@@ -230,8 +990,16 @@ app.post('/auth/login', (req, res) => {
   );
 });
 
+// Account actions need the password or a browser session, not an API token
+function rejectApiToken(req, res, next) {
+  if (req.apiToken) {
+    return res.status(403).json({ error: 'API tokens cannot be used for account actions' });
+  }
+  next();
+}
+
 // Logout endpoint
-app.post('/auth/logout', (req, res) => {
+app.post('/auth/logout', rejectApiToken, (req, res) => {
   req.session.destroy((err) => {
     if (err) {
       return res.status(500).json({ error: 'Logout failed' });
@@ -240,174 +1008,769 @@ app.post('/auth/logout', (req, res) => {
   });
 });
 
-// Check session endpoint
-app.get('/auth/me', (req, res) => {
-  if (req.session && req.session.userId) {
-    const isAdmin = serverSettings.Admins && serverSettings.Admins.includes(req.session.username);
-    
-    // Get user's claim info
-    db.get(
-      'SELECT daily_claim_limit, claims_used_today, last_claim_date FROM users WHERE id = ?',
-      [req.session.userId],
-      (err, user) => {
-        if (err) {
-          console.error('Error fetching user claim info:', err);
-          return res.json({ 
-            authenticated: true, 
-            username: req.session.username,
-            isAdmin: isAdmin
-          });
-        }
-        
-        const today = getServerLocalDate();
-        let claimsUsed = user?.claims_used_today || 0;
-        const lastClaimDate = user?.last_claim_date;
-        
-        // Reset if it's a new day
-        if (lastClaimDate !== today) {
-          claimsUsed = 0;
-        }
-        
-        const limit = user?.daily_claim_limit || serverSettings.defaultDailyClaimLimit || 10;
-        
-        const serverTime = new Date();
-        return res.json({ 
-          authenticated: true, 
-          username: req.session.username,
-          isAdmin: isAdmin,
-          claimsUsedToday: claimsUsed,
-          dailyClaimLimit: isAdmin ? -1 : limit, // -1 means unlimited for admins
-          claimsRemaining: isAdmin ? -1 : Math.max(0, limit - claimsUsed),
-          serverTime: serverTime.toISOString(),
-          serverTimezoneOffset: serverTime.getTimezoneOffset()
-        });
-      }
-    );
-  } else {
-    res.json({ authenticated: false, isAdmin: false });
+// Sign out every session of your account, this one included
+app.post('/auth/logout-all', rejectApiToken, requireAuth, async (req, res) => {
+  try {
+    await dbRun('UPDATE users SET session_epoch = COALESCE(session_epoch, 0) + 1 WHERE id = ?', [req.session.userId]);
+  } catch (err) {
+    console.error('Failed to sign out sessions:', err);
+    return res.status(500).json({ error: 'Logout failed' });
   }
+  req.session.destroy((err) => {
+    if (err) {
+      return res.status(500).json({ error: 'Logout failed' });
+    }
+    res.json({ ok: true });
+  });
 });
 
-// Helper function to check and update claim usage
-function checkAndUpdateClaimUsage(userId, claimCount, callback) {
-  const today = getServerLocalDate();
+// Change your password. Body: { currentPassword, newPassword }; currentPassword is not needed
+// after signing in with a temporary password. Other sessions of the account are signed out.
+app.post('/auth/password', rejectApiToken, async (req, res) => {
+  if (!req.session || !req.session.userId) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  const { currentPassword, newPassword } = req.body || {};
+  if (typeof newPassword !== 'string' || newPassword.length < 6) {
+    return res.status(400).json({ error: 'New password must be 6+ chars' });
+  }
   
-  db.get(
-    'SELECT username, daily_claim_limit, claims_used_today, last_claim_date FROM users WHERE id = ?',
-    [userId],
-    (err, user) => {
-      if (err) return callback(err, null);
-      if (!user) return callback(new Error('User not found'), null);
-      
-      // Check if user is admin (unlimited claims)
-      const isAdmin = serverSettings.Admins && serverSettings.Admins.includes(user.username);
-      if (isAdmin) {
-        // Admins have unlimited claims, just update the date
-        db.run(
-          'UPDATE users SET last_claim_date = ? WHERE id = ?',
-          [today, userId],
-          (err) => callback(err, { allowed: true })
-        );
-        return;
+  const limits = rateLimitSettings();
+  const ipWait = rateLimitWait('login-failures', req.ip, limits.loginFailuresPerIp, limits.loginWindowMinutes * 60 * 1000);
+  if (ipWait) {
+    return tooManyRequests(res, ipWait, 'Too many failed password attempts from your address');
+  }
+  
+  try {
+    const user = await dbGet('SELECT id, password_hash, session_epoch, must_change_password FROM users WHERE id = ?', [req.session.userId]);
+    if (!user) return res.status(401).json({ error: 'Authentication required' });
+    
+    if (!user.must_change_password) {
+      const match = typeof currentPassword === 'string' && user.password_hash &&
+        await bcrypt.compare(currentPassword, user.password_hash);
+      if (!match) {
+        recordRateLimitHit('login-failures', req.ip);
+        return res.status(401).json({ error: 'Current password is incorrect' });
       }
-      
-      let claimsUsed = user.claims_used_today || 0;
-      const lastClaimDate = user.last_claim_date;
-      const limit = user.daily_claim_limit || serverSettings.defaultDailyClaimLimit || 10;
-      
-      // Reset if it's a new day
-      if (lastClaimDate !== today) {
-        claimsUsed = 0;
+    }
+    
+    const passwordHash = await bcrypt.hash(newPassword, 10);
+    const epoch = (user.session_epoch || 0) + 1;
+    await dbRun(
+      'UPDATE users SET password_hash = ?, must_change_password = 0, session_epoch = ? WHERE id = ?',
+      [passwordHash, epoch, user.id]
+    );
+    req.session.epoch = epoch;
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Failed to change password:', err);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+function apiTokenInfo(row, now = Date.now()) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.prefix,
+    scopes: JSON.parse(row.scopes),
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    lastUsedAt: row.last_used_at,
+    expired: !!row.expires_at && Date.parse(row.expires_at) <= now
+  };
+}
+
+// API: your API tokens (secrets are never shown again after creation)
+app.get('/auth/tokens', rejectApiToken, requireAuth, async (req, res) => {
+  try {
+    const rows = await dbAll('SELECT * FROM api_tokens WHERE user_id = ? ORDER BY id DESC', [req.session.userId]);
+    const now = Date.now();
+    res.json({ tokens: rows.map(r => apiTokenInfo(r, now)) });
+  } catch (err) {
+    res.status(500).json({ error: 'DB read failed' });
+  }
+});
+
+// API: create an API token. Body: { name, scopes: ['read', 'claim', 'admin'], expiresInDays }
+// (expiresInDays optional; without it the token lasts until revoked). The token itself is only
+// in this response.
+app.post('/auth/tokens', rejectApiToken, requireAuth, async (req, res) => {
+  const { name, scopes, expiresInDays } = req.body || {};
+  const tokenName = typeof name === 'string' ? name.trim() : '';
+  if (!tokenName || tokenName.length > 50) {
+    return res.status(400).json({ error: 'Token name must be 1-50 characters' });
+  }
+  if (!Array.isArray(scopes) || !scopes.length || scopes.some(s => !API_TOKEN_SCOPES.includes(s))) {
+    return res.status(400).json({ error: `Scopes must be some of: ${API_TOKEN_SCOPES.join(', ')}` });
+  }
+  let expiresAt = null;
+  if (expiresInDays !== undefined && expiresInDays !== null && expiresInDays !== '') {
+    const days = Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > 3650) {
+      return res.status(400).json({ error: 'Expiry must be a whole number of days between 1 and 3650' });
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+  }
+  
+  try {
+    const user = await dbGet('SELECT role FROM users WHERE id = ?', [req.session.userId]);
+    const role = user && user.role || 'player';
+    if (scopes.includes('admin') && !ROLE_PERMISSIONS[role].length) {
+      return res.status(400).json({ error: "Only moderators and admins can create tokens with the 'admin' scope" });
+    }
+    const { count } = await dbGet('SELECT COUNT(*) AS count FROM api_tokens WHERE user_id = ?', [req.session.userId]);
+    if (count >= 20) {
+      return res.status(409).json({ error: 'You already have 20 API tokens; revoke one first' });
+    }
+    
+    const token = 'tcm_' + crypto.randomBytes(32).toString('base64url');
+    // 'read' is implied by every scope
+    const granted = API_TOKEN_SCOPES.filter(s => s === 'read' || scopes.includes(s));
+    const { lastID } = await dbRun(
+      'INSERT INTO api_tokens (user_id, name, token_hash, prefix, scopes, created_at, expires_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [req.session.userId, tokenName, hashApiToken(token), token.slice(0, 12), JSON.stringify(granted), new Date().toISOString(), expiresAt]
+    );
+    const row = await dbGet('SELECT * FROM api_tokens WHERE id = ?', [lastID]);
+    res.json({ ok: true, token, ...apiTokenInfo(row) });
+  } catch (err) {
+    console.error('Failed to create API token', err);
+    res.status(500).json({ error: 'Failed to create API token' });
+  }
+});
+
+// API: revoke one of your API tokens
+app.delete('/auth/tokens/:id', rejectApiToken, requireAuth, async (req, res) => {
+  try {
+    const { changes } = await dbRun('DELETE FROM api_tokens WHERE id = ? AND user_id = ?', [parseInt(req.params.id), req.session.userId]);
+    if (!changes) return res.status(404).json({ error: 'Token not found' });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Failed to revoke API token', err);
+    res.status(500).json({ error: 'Failed to revoke API token' });
+  }
+});
+
+// Check session endpoint
+app.get('/auth/me', (req, res) => {
+  if (req.session && req.session.userId) {
+    // Get user's role and claim info
+    db.get(
+      'SELECT daily_claim_limit, claims_used_today, last_claim_date, team, role FROM users WHERE id = ?',
+      [req.session.userId],
+      (err, user) => {
+        if (err) {
+          console.error('Error fetching user claim info:', err);
+          return res.json({ 
+            authenticated: true, 
+            username: req.session.username,
+            isAdmin: false,
+            csrfToken: csrfTokenFor(req)
+          });
+        }
+        
+        const role = user?.role || 'player';
+        const isAdmin = role === 'admin';
+        const unlimited = hasPermission(role, 'unrestricted_claims');
+        
+        const today = getServerLocalDate();
+        let claimsUsed = user?.claims_used_today || 0;
+        const lastClaimDate = user?.last_claim_date;
+        
+        // Reset if it's a new day
+        if (lastClaimDate !== today) {
+          claimsUsed = 0;
+        }
+        
+        const limit = user?.daily_claim_limit || serverSettings.defaultDailyClaimLimit || 10;
+        
+        const serverTime = new Date();
+        return res.json({ 
+          authenticated: true, 
+          username: req.session.username,
+          isAdmin: isAdmin,
+          role,
+          team: user?.team || null,
+          mustChangePassword: !!req.mustChangePassword,
+          csrfToken: csrfTokenFor(req),
+          claimsUsedToday: claimsUsed,
+          dailyClaimLimit: unlimited ? -1 : limit, // -1 means unlimited for admins
+          claimsRemaining: unlimited ? -1 : Math.max(0, limit - claimsUsed),
+          serverTime: serverTime.toISOString(),
+          serverTimezoneOffset: serverTime.getTimezoneOffset()
+        });
+      }
+    );
+  } else {
+    res.json({ authenticated: false, isAdmin: false, csrfToken: csrfTokenFor(req) });
+  }
+});
+
+// Join a team. Players pick once; after that only an admin can move them.
+app.post('/auth/team', requireAuth, (req, res) => {
+  const { team } = req.body || {};
+  
+  if (!isKnownTeam(team)) {
+    return res.status(400).json({ error: 'Unknown team' });
+  }
+  
+  db.run(
+    'UPDATE users SET team = ? WHERE id = ? AND team IS NULL',
+    [team, req.session.userId],
+    function(err) {
+      if (err) {
+        console.error('Failed to set team:', err);
+        return res.status(500).json({ error: 'Failed to set team' });
       }
       
-      // Check if user has enough claims left
-      if (claimsUsed + claimCount > limit) {
-        return callback(null, { 
-          allowed: false, 
-          remaining: Math.max(0, limit - claimsUsed),
-          limit: limit
-        });
+      if (this.changes === 0) {
+        return res.status(409).json({ error: 'You are already on a team. Ask an admin to change it.' });
       }
       
-      // Update claim usage
-      db.run(
-        'UPDATE users SET claims_used_today = ?, last_claim_date = ? WHERE id = ?',
-        [claimsUsed + claimCount, today, userId],
-        (err) => {
-          if (err) return callback(err, null);
-          callback(null, { 
-            allowed: true, 
-            newUsage: claimsUsed + claimCount,
-            remaining: limit - (claimsUsed + claimCount)
-          });
-        }
-      );
+      res.json({ ok: true, team });
+    }
+  );
+});
+
+// Claim sync revision. Each claim change is stamped with the next revision so clients
+// can fetch only what changed with GET /claims?since=<revision>.
+// Must be called inside withTransaction().
+async function bumpClaimsRevision() {
+  await dbRun(`UPDATE meta SET value = value + 1 WHERE key = 'claims_revision'`);
+  const row = await dbGet(`SELECT value FROM meta WHERE key = 'claims_revision'`);
+  return Number(row.value);
+}
+
+// Current revision, and the revision of the last full clear (older cursors must resync)
+async function getClaimsRevision() {
+  const rows = await dbAll(`SELECT key, value FROM meta WHERE key IN ('claims_revision', 'claims_reset_revision')`);
+  const values = Object.fromEntries(rows.map(r => [r.key, Number(r.value)]));
+  return { revision: values.claims_revision || 0, resetRevision: values.claims_reset_revision || 0 };
+}
+
+// Append a row to the claim_events audit log.
+// action is 'create', 'replace', 'delete', 'clear', 'undo' (added by a confirmation that was
+// undone), 'restore' (brought back by an undo) or 'reassign' (the new claim of one a bulk action
+// moved to another team or player; the old one ends with 'replace'); claim is the affected claim row;
+// audit is { actorId, actor, cause }. Must be called inside withTransaction().
+async function recordClaimEvent(action, claim, audit) {
+  await dbRun(
+    'INSERT INTO claim_events (action, claim_id, region_id, team, player, actor_id, actor, cause, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+    [action, claim.id, claim.region_id, claim.team, claim.player, audit.actorId, audit.actor, audit.cause || null, new Date().toISOString()]
+  );
+}
+
+// End claims by id: the row is kept with ended_at set (so past map states can be replayed),
+// a tombstone is left at the given revision and a claim_events row is written with the
+// given action and audit info (see recordClaimEvent).
+// Must be called inside withTransaction().
+// Returns the removed rows ({ id, region_id, team, player }) for broadcasting once the transaction commits.
+async function removeClaims(ids, revision, action, audit) {
+  const removed = [];
+  const endedAt = new Date().toISOString();
+  for (const id of ids) {
+    const row = await dbGet('SELECT id, region_id, team, player FROM claims WHERE id = ? AND ended_at IS NULL', [id]);
+    if (!row) continue;
+    await dbRun('UPDATE claims SET ended_at = ?, revision = ? WHERE id = ?', [endedAt, revision, id]);
+    await dbRun(
+      'INSERT OR REPLACE INTO claim_tombstones (claim_id, region_id, revision) VALUES (?, ?, ?)',
+      [row.id, row.region_id, revision]
+    );
+    await recordClaimEvent(action, row, audit);
+    removed.push({ id: row.id, region_id: row.region_id, team: row.team, player: row.player });
+  }
+  return removed;
+}
+
+// Connected /claims/stream (Server-Sent Events) responses, and how many each IP holds open
+const claimStreamClients = new Set();
+const claimStreamsByIp = new Map();
+
+// Push a claim event to every connected client: 'created' ({ claims: rows }),
+// 'deleted' ({ claims: [{ id, region_id }] }) or 'cleared' ({}). Every event also
+// carries the revision it was committed at.
+function broadcastClaimEvent(type, data) {
+  const payload = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const client of claimStreamClients) {
+    client.write(payload);
+  }
+}
+
+// A claim row as it appears in webhook payloads (see webhooks.js)
+function webhookClaim(row) {
+  return { id: row.id, regionId: row.region_id, team: row.team, player: row.player, color: row.color, createdAt: row.created_at };
+}
+
+// Send claim.deleted to webhooks for rows returned by removeClaims
+function dispatchClaimsDeleted(removed, revision, actor, cause) {
+  if (removed.length) webhooks.dispatch('claim.deleted', { actor, cause, claims: removed.map(webhookClaim), revision });
+}
+
+// Check a claim confirmation against the current state and work out what it changes:
+// which claims it replaces or removes, what it inserts, capture attempts and the net cost.
+// Throws httpError for anything the player may not do (team, adjacency, protection, daily
+// limit). requested maps region id -> claim entry and is not modified.
+async function planClaimConfirmation(userId, requested, today) {
+  const byRegion = new Map(Array.from(requested, ([regionId, c]) => [regionId, { ...c }]));
+  const user = await dbGet(
+    'SELECT daily_claim_limit, claims_used_today, last_claim_date, team, role FROM users WHERE id = ?',
+    [userId]
+  );
+  if (!user) throw httpError(401, { error: 'User not found' });
+  // Admins paint for any team without limits or rules; moderators may also remove anyone's claims
+  const isAdmin = hasPermission(user.role, 'unrestricted_claims');
+  const canDeleteAny = hasPermission(user.role, 'delete_any_claim');
+
+  // Players claim for their own team only; admins may paint for any team.
+  // The color always comes from ServerSettings.json, never from the request.
+  for (const c of byRegion.values()) {
+    if (c.remove === true) continue;
+    if (!isAdmin) {
+      if (!user.team) throw httpError(403, { error: 'Join a team before claiming' });
+      if (c.team && c.team !== user.team) {
+        throw httpError(403, { error: `You can only claim for your team (${user.team})` });
+      }
+      c.team = user.team;
+    } else if (!isKnownTeam(c.team)) {
+      throw httpError(400, { error: 'Unknown team: ' + c.team });
+    }
+  }
+
+  // Claims in one request may chain outward: each accepted region counts as held for the next
+  if (!isAdmin && adjacencyRuleEnabled()) {
+    const held = await getTeamRegions(user.team);
+    const starting = getStartingRegions(user.team);
+    const rejected = [];
+    for (const [regionId, c] of byRegion) {
+      if (c.remove === true) continue;
+      if (isClaimableRegion(regionId, held, starting)) {
+        held.add(regionId);
+      } else {
+        rejected.push(regionId);
+      }
+    }
+    if (rejected.length) {
+      throw httpError(403, {
+        error: `You can only claim regions bordering your team's territory (${user.team})`,
+        regions: rejected
+      });
     }
+  }
+
+  const regionIds = [...byRegion.keys()];
+  const existing = await dbAll(
+    `SELECT id, user_id, region_id, team, created_at, protected_from FROM claims WHERE ended_at IS NULL AND region_id IN (${regionIds.map(() => '?').join(',')})`,
+    regionIds
   );
+  const existingByRegion = new Map();
+  for (const e of existing) {
+    if (!existingByRegion.has(e.region_id)) existingByRegion.set(e.region_id, []);
+    existingByRegion.get(e.region_id).push(e);
+  }
+
+  // Recently claimed regions cannot be taken by another team until their protection runs out
+  if (!isAdmin) {
+    const now = Date.now();
+    const protectedRegions = [];
+    for (const [regionId, c] of byRegion) {
+      if (c.remove === true) continue;
+      for (const e of existingByRegion.get(regionId) || []) {
+        const until = e.team !== c.team && protectedUntil(e, now);
+        if (until) protectedRegions.push({ regionId, team: e.team, protectedUntil: until });
+      }
+    }
+    if (protectedRegions.length) {
+      throw httpError(403, {
+        error: 'Recently captured regions are protected from other teams',
+        regions: protectedRegions
+      });
+    }
+  }
+
+  // Claims on enemy-held regions only add capture progress until the team has enough
+  const contested = [];
+  const strength = regionStrengthSettings();
+  if (strength && !isAdmin) {
+    const now = Date.now();
+    for (const [regionId, c] of byRegion) {
+      if (c.remove === true) continue;
+      const holder = (existingByRegion.get(regionId) || []).reduce((top, e) => (!top || e.id > top.id ? e : top), null);
+      if (!holder || holder.team === c.team) continue;
+      const row = await dbGet('SELECT points, updated_at FROM capture_progress WHERE region_id = ? AND team = ?', [regionId, c.team]);
+      const points = decayedPoints(row, strength, now) + 1;
+      if (points >= strength.claimsToCapture) continue; // captured: replaces the holder below
+      contested.push({ regionId, team: c.team, points, updatedAt: new Date(now).toISOString() });
+    }
+    contested.forEach(p => byRegion.delete(p.regionId));
+  }
+
+  const toReplace = [];
+  const toDelete = [];
+  const toInsert = [];
+  let ownRemoved = 0;
+  let denied = 0;
+
+  for (const [regionId, c] of byRegion) {
+    const current = existingByRegion.get(regionId) || [];
+    const remove = c.remove === true;
+
+    for (const e of current) {
+      const own = e.user_id === userId;
+      // Claiming replaces whoever holds the region; removing is limited to your own claims
+      if (remove && !own && !canDeleteAny) {
+        denied++;
+        continue;
+      }
+      (remove ? toDelete : toReplace).push(e.id);
+      if (own) ownRemoved++;
+    }
+
+    if (!remove) {
+      toInsert.push({ c, regionId });
+    }
+  }
+
+  // Net cost: new claims (and capture attempts) minus your own claims they replace or you removed
+  const cost = toInsert.length + contested.length - ownRemoved;
+
+  const plan = { user, isAdmin, contested, toReplace, toDelete, toInsert, denied, cost };
+  if (!isAdmin) {
+    const limit = user.daily_claim_limit || serverSettings.defaultDailyClaimLimit || 10;
+    // Reset if it's a new day
+    const claimsUsed = user.last_claim_date === today ? (user.claims_used_today || 0) : 0;
+
+    if (cost > 0 && claimsUsed + cost > limit) {
+      throw httpError(403, {
+        error: 'Daily claim limit exceeded',
+        cost,
+        remaining: Math.max(0, limit - claimsUsed),
+        limit
+      });
+    }
+    plan.limit = limit;
+    plan.claimsUsed = claimsUsed;
+  }
+  return plan;
 }
 
-// API: create claims (bulk)
-app.post('/claims', requireAuth, (req, res) => {
+// API: confirm a set of pending claims (bulk).
+// Each entry is { imgX, imgY, team, color, date } or { imgX, imgY, remove: true }.
+// Inside one transaction the server finds the claims already on each target region,
+// replaces them (removal only touches your own claims unless admin), charges the net
+// cost against the daily limit and returns what changed.
+app.post('/claims', requireAuth, rateLimit('claims', 'claimRequestsPerMinute', 60 * 1000), async (req, res) => {
   const { claims } = req.body || {};
   if (!Array.isArray(claims) || claims.length === 0) {
     return res.status(400).json({ error: 'No claims provided' });
   }
 
-  // Check claim limit
-  checkAndUpdateClaimUsage(req.session.userId, claims.length, (err, result) => {
-    if (err) {
-      console.error('Error checking claim usage:', err);
-      return res.status(500).json({ error: 'Failed to check claim limit' });
+  if (!regionIndex) {
+    return res.status(503).json({ error: 'Region index not available' });
+  }
+
+  // Resolve the region each claim seed falls in; a later entry for the same region wins
+  const byRegion = new Map();
+  for (const c of claims) {
+    const regionId = findRegionNear(regionIndex, Number(c.imgX), Number(c.imgY), 20);
+    if (!regionId) {
+      return res.status(400).json({ error: 'Claim is not inside a region' });
     }
-    
-    if (!result.allowed) {
-      return res.status(403).json({ 
-        error: 'Daily claim limit exceeded',
-        remaining: result.remaining,
-        limit: result.limit
+    byRegion.delete(regionId);
+    byRegion.set(regionId, c);
+  }
+
+  const userId = req.session.userId;
+  const username = req.session.username;
+  const today = getServerLocalDate();
+
+  try {
+    // Turn down what the player may not do before taking the write lock; the plan is made
+    // again inside the transaction, where nothing can change underneath it
+    await planClaimConfirmation(userId, byRegion, today);
+    const { replaced, ...result } = await withTransaction(async () => {
+      const plan = await planClaimConfirmation(userId, byRegion, today);
+      const { isAdmin, contested, toReplace, toDelete, toInsert, denied, cost } = plan;
+      let claimsRemaining = -1;
+      let usageCharged = 0; // change to claims_used_today, refunded by an undo
+
+      if (isAdmin) {
+        // Admins have unlimited claims, just update the date
+        await dbRun('UPDATE users SET last_claim_date = ? WHERE id = ?', [today, userId]);
+      } else {
+        const { limit, claimsUsed } = plan;
+        const newUsage = Math.max(0, claimsUsed + cost);
+        await dbRun(
+          'UPDATE users SET claims_used_today = ?, last_claim_date = ? WHERE id = ?',
+          [newUsage, today, userId]
+        );
+        claimsRemaining = Math.max(0, limit - newUsage);
+        usageCharged = newUsage - claimsUsed;
+      }
+
+      // Capture progress this confirmation is about to change, for undo
+      const progressRegions = [...contested.map(p => p.regionId), ...toInsert.map(i => i.regionId)];
+      const progressBefore = progressRegions.length
+        ? await dbAll(`SELECT * FROM capture_progress WHERE region_id IN (${progressRegions.map(() => '?').join(',')})`, progressRegions)
+        : [];
+
+      const revision = await bumpClaimsRevision();
+      const audit = { actorId: userId, actor: username };
+      const replaced = await removeClaims(toReplace, revision, 'replace', { ...audit, cause: 'Replaced by a new claim on the region' });
+      const removed = [
+        ...replaced,
+        ...await removeClaims(toDelete, revision, 'delete', { ...audit, cause: 'Removed via claim confirmation' })
+      ];
+
+      const insertedIds = [];
+      for (const { c, regionId } of toInsert) {
+        const { lastID } = await dbRun(
+          'INSERT INTO claims (x, y, date, team, color, user_id, player, region_id, revision, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+          [c.imgX, c.imgY, c.date || new Date().toISOString(), c.team, serverSettings.Teams[c.team].color || null, userId, username, regionId, revision, new Date().toISOString()]
+        );
+        insertedIds.push(lastID);
+      }
+
+      for (const p of contested) {
+        await dbRun(
+          'INSERT OR REPLACE INTO capture_progress (region_id, team, points, updated_at) VALUES (?, ?, ?, ?)',
+          [p.regionId, p.team, p.points, p.updatedAt]
+        );
+      }
+      // A region changing hands starts over with no capture progress
+      for (const { regionId } of toInsert) {
+        await dbRun('DELETE FROM capture_progress WHERE region_id = ?', [regionId]);
+      }
+
+      const inserted = insertedIds.length
+        ? await dbAll(`SELECT * FROM claims WHERE id IN (${insertedIds.map(() => '?').join(',')})`, insertedIds)
+        : [];
+      for (const claim of inserted) {
+        await recordClaimEvent('create', claim, { ...audit, cause: 'Claim confirmation' });
+      }
+
+      let undoUntil = null;
+      const undoMs = undoWindowMs();
+      if (undoMs && (inserted.length || removed.length || contested.length)) {
+        const now = Date.now();
+        await dbRun('DELETE FROM claim_confirmations WHERE created_at < ?', [new Date(now - undoMs).toISOString()]);
+        await dbRun(
+          'INSERT INTO claim_confirmations (user_id, revision, claim_date, usage_charged, inserted, removed, contested, progress, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+          [userId, revision, today, usageCharged, JSON.stringify(insertedIds), JSON.stringify(removed.map(r => r.id)),
+            JSON.stringify(contested), JSON.stringify(progressBefore), new Date(now).toISOString()]
+        );
+        undoUntil = new Date(now + undoMs).toISOString();
+      }
+
+      return {
+        ok: true,
+        inserted: inserted.length,
+        claims: inserted,
+        deleted: removed,
+        denied,
+        contested,
+        cost,
+        claimsRemaining,
+        undoUntil,
+        revision,
+        replaced
+      };
+    });
+    if (result.deleted.length) broadcastClaimEvent('deleted', { claims: result.deleted, revision: result.revision });
+    if (result.claims.length) broadcastClaimEvent('created', { claims: result.claims, revision: result.revision });
+    // Capture progress is not part of the claim revision sequence; clients refetch it when they resync
+    if (result.contested.length) broadcastClaimEvent('contested', { regions: result.contested });
+    res.json(result);
+
+    if (result.claims.length) {
+      webhooks.dispatch('claim.created', { actor: username, claims: result.claims.map(webhookClaim), revision: result.revision });
+    }
+    if (replaced.length) {
+      const newClaims = new Map(result.claims.map(c => [c.region_id, webhookClaim(c)]));
+      webhooks.dispatch('claim.replaced', {
+        actor: username,
+        claims: replaced.map(c => ({ ...webhookClaim(c), replacedBy: newClaims.get(c.region_id) })),
+        revision: result.revision
       });
     }
+    const replacedIds = new Set(replaced.map(c => c.id));
+    dispatchClaimsDeleted(result.deleted.filter(c => !replacedIds.has(c.id)), result.revision, username, 'Removed via claim confirmation');
+  } catch (err) {
+    if (err.status) return res.status(err.status).json(err.body);
+    console.error('Failed to save claims:', err);
+    res.status(500).json({ error: 'DB insert failed' });
+  }
+});
+
+// API: undo your last claim confirmation within the undo window (see undoWindowMs). Ends the
+// claims it added, brings back the ones it replaced or removed, puts capture progress back and
+// refunds the claim budget it used. Refused with 409 when any of its regions has changed hands since.
+app.post('/claims/undo', requireAuth, rateLimit('claims', 'claimRequestsPerMinute', 60 * 1000), async (req, res) => {
+  const userId = req.session.userId;
+  const username = req.session.username;
+  const today = getServerLocalDate();
 
-    // Proceed with inserting claims
-    db.serialize(() => {
-      const stmt = db.prepare('INSERT INTO claims (x, y, date, team, color, user_id, player) VALUES (?, ?, ?, ?, ?, ?, ?)');
-      db.run('BEGIN TRANSACTION');
-      for (const c of claims) {
-        stmt.run(c.imgX, c.imgY, c.date, c.team || null, c.color || null, req.session.userId, req.session.username);
+  try {
+    const result = await withTransaction(async () => {
+      const confirmation = await dbGet(
+        'SELECT * FROM claim_confirmations WHERE user_id = ? AND undone_at IS NULL ORDER BY id DESC LIMIT 1',
+        [userId]
+      );
+      if (!confirmation) throw httpError(404, { error: 'Nothing to undo' });
+      if (Date.parse(confirmation.created_at) + undoWindowMs() < Date.now()) {
+        throw httpError(409, { error: 'Your last confirmation is too old to undo', expired: true });
       }
-      db.run('COMMIT');
-      stmt.finalize((err) => {
-        if (err) {
-          console.error('Insert error', err);
-          return res.status(500).json({ error: 'DB insert failed' });
+
+      const insertedIds = JSON.parse(confirmation.inserted);
+      const removedIds = JSON.parse(confirmation.removed);
+      const placeholders = (ids) => ids.map(() => '?').join(',');
+      const inserted = insertedIds.length
+        ? await dbAll(`SELECT id, region_id, ended_at FROM claims WHERE id IN (${placeholders(insertedIds)})`, insertedIds)
+        : [];
+      const removed = removedIds.length
+        ? await dbAll(`SELECT id, region_id, ended_at, revision FROM claims WHERE id IN (${placeholders(removedIds)})`, removedIds)
+        : [];
+
+      if (inserted.length !== insertedIds.length || removed.length !== removedIds.length) {
+        throw httpError(409, { error: 'Claims from that confirmation no longer exist' });
+      }
+
+      // Every region it touched must still look exactly as the confirmation left it
+      const changed = new Set();
+      for (const c of inserted) if (c.ended_at) changed.add(c.region_id);
+      for (const c of removed) if (!c.ended_at || c.revision !== confirmation.revision) changed.add(c.region_id);
+      const regionIds = [...new Set([...inserted, ...removed].map(c => c.region_id))];
+      if (regionIds.length) {
+        const live = await dbAll(
+          `SELECT id, region_id FROM claims WHERE ended_at IS NULL AND region_id IN (${placeholders(regionIds)})`,
+          regionIds
+        );
+        for (const c of live) if (!insertedIds.includes(c.id)) changed.add(c.region_id);
+      }
+      // ...and so must capture progress: the regions it took started over with none, and the
+      // points it added are the latest there. Undoing past later attacks would wipe or shadow them.
+      const contested = JSON.parse(confirmation.contested);
+      const insertedRegions = [...new Set(inserted.map(c => c.region_id))];
+      if (insertedRegions.length) {
+        const progress = await dbAll(
+          `SELECT region_id FROM capture_progress WHERE region_id IN (${placeholders(insertedRegions)})`,
+          insertedRegions
+        );
+        for (const p of progress) changed.add(p.region_id);
+      }
+      for (const p of contested) {
+        const rows = await dbAll('SELECT team, points, updated_at FROM capture_progress WHERE region_id = ?', [p.regionId]);
+        const ours = rows.find(r => r.team === p.team);
+        if (!ours || ours.points !== p.points || ours.updated_at !== p.updatedAt ||
+            rows.some(r => r.team !== p.team && r.updated_at > p.updatedAt)) {
+          changed.add(p.regionId);
         }
-        return res.json({ 
-          ok: true, 
-          inserted: claims.length,
-          claimsRemaining: result.remaining
-        });
-      });
+      }
+      if (changed.size) {
+        throw httpError(409, { error: 'Some of those regions have changed hands or been attacked since', regions: [...changed] });
+      }
+
+      const revision = await bumpClaimsRevision();
+      const audit = { actorId: userId, actor: username };
+      const ended = await removeClaims(insertedIds, revision, 'undo', { ...audit, cause: 'Claim confirmation undone' });
+
+      for (const id of removedIds) {
+        await dbRun('UPDATE claims SET ended_at = NULL, revision = ? WHERE id = ?', [revision, id]);
+        await dbRun('DELETE FROM claim_tombstones WHERE claim_id = ?', [id]);
+      }
+      const restored = removedIds.length
+        ? await dbAll(`SELECT * FROM claims WHERE id IN (${placeholders(removedIds)})`, removedIds)
+        : [];
+      for (const claim of restored) {
+        await recordClaimEvent('restore', claim, { ...audit, cause: 'Claim confirmation undone' });
+      }
+
+      // Capture progress: take back the points it added and return progress it wiped on the
+      // regions it took (both checked unchanged above)
+      const progressBefore = JSON.parse(confirmation.progress);
+      for (const p of contested) {
+        const { changes } = await dbRun(
+          'DELETE FROM capture_progress WHERE region_id = ? AND team = ? AND points = ? AND updated_at = ?',
+          [p.regionId, p.team, p.points, p.updatedAt]
+        );
+        const before = changes && progressBefore.find(b => b.region_id === p.regionId && b.team === p.team);
+        if (before) {
+          await dbRun('INSERT INTO capture_progress (region_id, team, points, updated_at) VALUES (?, ?, ?, ?)',
+            [before.region_id, before.team, before.points, before.updated_at]);
+        }
+      }
+      for (const before of progressBefore.filter(b => insertedRegions.includes(b.region_id))) {
+        await dbRun('INSERT OR IGNORE INTO capture_progress (region_id, team, points, updated_at) VALUES (?, ?, ?, ?)',
+          [before.region_id, before.team, before.points, before.updated_at]);
+      }
+
+      // Refund what it charged, as long as the day's budget has not started over since
+      const user = await dbGet('SELECT claims_used_today, last_claim_date FROM users WHERE id = ?', [userId]);
+      let refunded = 0;
+      if (user && confirmation.usage_charged && user.last_claim_date === confirmation.claim_date && confirmation.claim_date === today) {
+        const newUsage = Math.max(0, (user.claims_used_today || 0) - confirmation.usage_charged);
+        refunded = (user.claims_used_today || 0) - newUsage;
+        await dbRun('UPDATE users SET claims_used_today = ? WHERE id = ?', [newUsage, userId]);
+      }
+
+      await dbRun('UPDATE claim_confirmations SET undone_at = ? WHERE id = ?', [new Date().toISOString(), confirmation.id]);
+      return { ok: true, removed: ended, restored, refunded, revision };
     });
-  });
+    if (result.removed.length) broadcastClaimEvent('deleted', { claims: result.removed, revision: result.revision });
+    if (result.restored.length) broadcastClaimEvent('created', { claims: result.restored, revision: result.revision });
+    res.json(result);
+
+    dispatchClaimsDeleted(result.removed, result.revision, username, 'Claim confirmation undone');
+    if (result.restored.length) {
+      webhooks.dispatch('claim.created', {
+        actor: username,
+        cause: 'Claim confirmation undone',
+        claims: result.restored.map(webhookClaim),
+        revision: result.revision
+      });
+    }
+  } catch (err) {
+    if (err.status) return res.status(err.status).json(err.body);
+    console.error('Failed to undo claims:', err);
+    res.status(500).json({ error: 'Failed to undo claims' });
+  }
 });
 
 // API: clear all claims (admin only)
-app.delete('/claims', requireAdmin, (req, res) => {
-  db.run('DELETE FROM claims', function(err) {
-    if (err) {
-      console.error('Failed to clear claims', err);
-      return res.status(500).json({ error: 'DB delete failed' });
-    }
-    db.run('VACUUM', (vErr) => {
-      res.json({ ok: true, deleted: this.changes || 0 });
+app.delete('/claims', requirePermission('clear_claims'), async (req, res) => {
+  let deleted, revision;
+  try {
+    await writeBackupFile('before-clear');
+    await withTransaction(async () => {
+      revision = await bumpClaimsRevision();
+      const audit = { actorId: req.session.userId, actor: req.session.username, cause: 'Clear DB' };
+      const live = await dbAll('SELECT id, region_id, team, player FROM claims WHERE ended_at IS NULL');
+      for (const claim of live) {
+        await recordClaimEvent('clear', claim, audit);
+      }
+      // Clearing starts over, so ended claims (replay history) go too
+      await dbRun('DELETE FROM claims');
+      deleted = live.length;
+      // No tombstones needed: cursors older than this revision get a full listing instead
+      await dbRun('DELETE FROM claim_tombstones');
+      await dbRun('DELETE FROM capture_progress');
+      await dbRun('DELETE FROM claim_confirmations');
+      await dbRun(`UPDATE meta SET value = ? WHERE key = 'claims_reset_revision'`, [revision]);
     });
+  } catch (err) {
+    console.error('Failed to clear claims', err);
+    return res.status(500).json({ error: 'DB delete failed' });
+  }
+  broadcastClaimEvent('cleared', { revision });
+  webhooks.dispatch('db.cleared', { actor: req.session.username, deleted: deleted || 0, revision });
+  db.run('VACUUM', (vErr) => {
+    res.json({ ok: true, deleted: deleted || 0 });
   });
 });
 
-// API: Get all users with their claim limits (admin only)
-app.get('/admin/users', requireAdmin, (req, res) => {
+// API: Get all users with their claim limits (moderators and admins)
+app.get('/admin/users', requirePermission('manage_limits'), (req, res) => {
   db.all(
-    'SELECT id, username, daily_claim_limit, claims_used_today, last_claim_date, created_at FROM users ORDER BY username',
+    'SELECT id, username, team, role, daily_claim_limit, claims_used_today, last_claim_date, failed_logins, last_failed_login, locked_until, created_at FROM users ORDER BY username',
     (err, users) => {
       if (err) {
         console.error('Failed to fetch users:', err);
@@ -416,9 +1779,12 @@ app.get('/admin/users', requireAdmin, (req, res) => {
       
       const today = getServerLocalDate();
       const defaultLimit = serverSettings.defaultDailyClaimLimit || 10;
+      const now = Date.now();
+      const loginWindowMs = rateLimitSettings().loginWindowMinutes * 60 * 1000;
       
       const usersWithInfo = users.map(u => {
-        const isAdmin = serverSettings.Admins && serverSettings.Admins.includes(u.username);
+        const role = u.role || 'player';
+        const unlimited = hasPermission(role, 'unrestricted_claims');
         const limit = u.daily_claim_limit || defaultLimit;
         let claimsUsed = u.claims_used_today || 0;
         
@@ -430,10 +1796,15 @@ app.get('/admin/users', requireAdmin, (req, res) => {
         return {
           id: u.id,
           username: u.username,
-          isAdmin: isAdmin,
+          isAdmin: role === 'admin',
+          role,
+          team: u.team || null,
           dailyClaimLimit: limit,
           claimsUsedToday: claimsUsed,
-          claimsRemaining: isAdmin ? -1 : Math.max(0, limit - claimsUsed)
+          claimsRemaining: unlimited ? -1 : Math.max(0, limit - claimsUsed),
+          lockedUntil: u.locked_until && Date.parse(u.locked_until) > now ? u.locked_until : null,
+          // failures that still count towards a lockout
+          failedLogins: u.last_failed_login && Date.parse(u.last_failed_login) > now - loginWindowMs ? u.failed_logins || 0 : 0
         };
       });
       
@@ -442,15 +1813,105 @@ app.get('/admin/users', requireAdmin, (req, res) => {
   );
 });
 
-// API: Update user claim limit (admin only)
-app.post('/admin/users/:userId/claim-limit', requireAdmin, (req, res) => {
+// API: lift a login lockout and forget the account's failed logins (moderators and admins)
+app.post('/admin/users/:userId/unlock', requirePermission('manage_limits'), async (req, res) => {
   const userId = parseInt(req.params.userId);
-  const { dailyClaimLimit } = req.body;
-  
-  if (!Number.isInteger(userId) || userId <= 0) {
-    return res.status(400).json({ error: 'Invalid user ID' });
-  }
-  
+  try {
+    const result = await dbRun(
+      'UPDATE users SET failed_logins = 0, last_failed_login = NULL, locked_until = NULL WHERE id = ?',
+      [userId]
+    );
+    if (!result.changes) return res.status(404).json({ error: 'User not found' });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Failed to unlock user', err);
+    res.status(500).json({ error: 'Failed to unlock user' });
+  }
+});
+
+// API: reset a user's password to a random temporary one, returned once in the response
+// (admin only). It stays valid until it is replaced; a session signed in with it can only
+// choose a new password. The account's sessions are signed out and any login lockout is lifted.
+app.post('/admin/users/:userId/reset-password', requirePermission('manage_accounts'), async (req, res) => {
+  const userId = parseInt(req.params.userId);
+  try {
+    const user = await dbGet('SELECT id, username FROM users WHERE id = ?', [userId]);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    
+    const temporaryPassword = crypto.randomBytes(9).toString('base64url');
+    const passwordHash = await bcrypt.hash(temporaryPassword, 10);
+    await dbRun(
+      `UPDATE users SET password_hash = ?, must_change_password = 1, session_epoch = COALESCE(session_epoch, 0) + 1,
+        failed_logins = 0, last_failed_login = NULL, locked_until = NULL WHERE id = ?`,
+      [passwordHash, userId]
+    );
+    console.log(`Password of ${user.username} reset by ${req.session.username}`);
+    res.json({ ok: true, username: user.username, temporaryPassword });
+  } catch (err) {
+    console.error('Failed to reset password', err);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// API: delete an account (admin only). ?claims=keep leaves its claims on the map as orphans
+// (no owning account, player name kept); ?claims=remove takes its live claims off the map.
+app.delete('/admin/users/:userId', requirePermission('manage_accounts'), async (req, res) => {
+  const userId = parseInt(req.params.userId);
+  const mode = req.query.claims;
+  if (mode !== 'keep' && mode !== 'remove') {
+    return res.status(400).json({ error: 'Choose claims=keep or claims=remove' });
+  }
+  if (userId === req.session.userId) {
+    return res.status(400).json({ error: 'You cannot delete your own account' });
+  }
+  
+  let result;
+  try {
+    result = await withTransaction(async () => {
+      const user = await dbGet('SELECT id, username, role FROM users WHERE id = ?', [userId]);
+      if (!user) throw httpError(404, { error: 'User not found' });
+      if (user.role === 'admin') {
+        const { count } = await dbGet(`SELECT COUNT(*) AS count FROM users WHERE role = 'admin'`);
+        if (count <= 1) throw httpError(409, { error: 'Cannot delete the last admin' });
+      }
+      
+      let removed = [];
+      let revision = null;
+      if (mode === 'remove') {
+        const live = await dbAll('SELECT id FROM claims WHERE user_id = ? AND ended_at IS NULL', [userId]);
+        if (live.length) {
+          revision = await bumpClaimsRevision();
+          const audit = { actorId: req.session.userId, actor: req.session.username, cause: 'Account deleted' };
+          removed = await removeClaims(live.map(c => c.id), revision, 'delete', audit);
+        }
+      }
+      const { changes: orphaned } = await dbRun('UPDATE claims SET user_id = NULL WHERE user_id = ? AND ended_at IS NULL', [userId]);
+      await dbRun('UPDATE claims SET user_id = NULL WHERE user_id = ?', [userId]);
+      await dbRun('DELETE FROM api_tokens WHERE user_id = ?', [userId]);
+      await dbRun('DELETE FROM users WHERE id = ?', [userId]);
+      return { username: user.username, removed, revision, orphaned };
+    });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json(err.body);
+    console.error('Failed to delete user', err);
+    return res.status(500).json({ error: 'Failed to delete user' });
+  }
+  
+  console.log(`Account ${result.username} deleted by ${req.session.username} (claims ${mode === 'keep' ? 'kept' : 'removed'})`);
+  if (result.removed.length) broadcastClaimEvent('deleted', { claims: result.removed, revision: result.revision });
+  dispatchClaimsDeleted(result.removed, result.revision, req.session.username, 'Account deleted');
+  res.json({ ok: true, removedClaims: result.removed.length, orphanedClaims: result.orphaned });
+});
+
+// API: Update user claim limit (moderators and admins)
+app.post('/admin/users/:userId/claim-limit', requirePermission('manage_limits'), (req, res) => {
+  const userId = parseInt(req.params.userId);
+  const { dailyClaimLimit } = req.body;
+  
+  if (!Number.isInteger(userId) || userId <= 0) {
+    return res.status(400).json({ error: 'Invalid user ID' });
+  }
+  
   if (!Number.isInteger(dailyClaimLimit) || dailyClaimLimit < 0) {
     return res.status(400).json({ error: 'Invalid claim limit. Must be a non-negative integer.' });
   }
@@ -473,148 +1934,417 @@ app.post('/admin/users/:userId/claim-limit', requireAdmin, (req, res) => {
   );
 });
 
-// API: Clear all claims for a user from today (admin only)
-app.post('/admin/users/:userId/clear-today', requireAdmin, (req, res) => {
+// API: Assign a user to a team, or remove them from one with team: null (admin only)
+app.post('/admin/users/:userId/team', requirePermission('manage_teams'), (req, res) => {
   const userId = parseInt(req.params.userId);
+  const { team } = req.body || {};
   
   if (!Number.isInteger(userId) || userId <= 0) {
     return res.status(400).json({ error: 'Invalid user ID' });
   }
   
-  const today = getServerLocalDate();
+  if (team !== null && !isKnownTeam(team)) {
+    return res.status(400).json({ error: 'Unknown team' });
+  }
   
-  // Get user info first
-  db.get(
-    'SELECT username FROM users WHERE id = ?',
-    [userId],
-    (err, user) => {
+  db.run(
+    'UPDATE users SET team = ? WHERE id = ?',
+    [team, userId],
+    function(err) {
       if (err) {
-        console.error('Failed to fetch user:', err);
-        return res.status(500).json({ error: 'Failed to fetch user' });
+        console.error('Failed to update team:', err);
+        return res.status(500).json({ error: 'Failed to update team' });
       }
       
-      if (!user) {
+      if (this.changes === 0) {
         return res.status(404).json({ error: 'User not found' });
       }
       
-      // Get all claims from today for this user
-      db.all(
-        'SELECT id FROM claims WHERE user_id = ? AND date LIKE ?',
-        [userId, today + '%'],
-        (err, claims) => {
-          if (err) {
-            console.error('Failed to fetch claims:', err);
-            return res.status(500).json({ error: 'Failed to fetch claims' });
-          }
-          
-          if (claims.length === 0) {
-            return res.json({ ok: true, deleted: 0, message: 'No claims found for today' });
-          }
-          
-          // Delete the claims
-          db.serialize(() => {
-            db.run('BEGIN TRANSACTION');
-            const stmt = db.prepare('DELETE FROM claims WHERE id = ?');
-            claims.forEach(c => stmt.run(c.id));
-            db.run('COMMIT', (err) => {
-              stmt.finalize();
-              if (err) {
-                console.error('Failed to delete claims:', err);
-                return res.status(500).json({ error: 'Failed to delete claims' });
-              }
-              
-              // Refund the claims by resetting claims_used_today to 0
-              db.run(
-                'UPDATE users SET claims_used_today = 0 WHERE id = ? AND last_claim_date = ?',
-                [userId, today],
-                (err) => {
-                  if (err) {
-                    console.error('Failed to refund claims:', err);
-                    return res.json({ 
-                      ok: true, 
-                      deleted: claims.length,
-                      refunded: false,
-                      message: 'Claims deleted but refund failed'
-                    });
-                  }
-                  
-                  res.json({ 
-                    ok: true, 
-                    deleted: claims.length,
-                    refunded: true,
-                    username: user.username
-                  });
-                }
-              );
-            });
-          });
-        }
-      );
+      res.json({ ok: true, userId, team });
     }
   );
 });
 
-// API: Search/filter claims (admin only)
-app.post('/admin/claims/search', requireAdmin, (req, res) => {
-  const { player, team, date, limit = 1000 } = req.body || {};
+// API: Grant or revoke a role: player, moderator or admin (admin only).
+// The last admin cannot be demoted, so the server always keeps one.
+app.post('/admin/users/:userId/role', requirePermission('manage_roles'), async (req, res) => {
+  const userId = parseInt(req.params.userId);
+  const { role } = req.body || {};
+  
+  if (!Number.isInteger(userId) || userId <= 0) {
+    return res.status(400).json({ error: 'Invalid user ID' });
+  }
+  
+  if (!Object.prototype.hasOwnProperty.call(ROLE_PERMISSIONS, role)) {
+    return res.status(400).json({ error: 'Unknown role' });
+  }
+  
+  try {
+    await withTransaction(async () => {
+      const user = await dbGet('SELECT role FROM users WHERE id = ?', [userId]);
+      if (!user) throw httpError(404, { error: 'User not found' });
+      
+      if (user.role === 'admin' && role !== 'admin') {
+        const { count } = await dbGet(`SELECT COUNT(*) AS count FROM users WHERE role = 'admin'`);
+        if (count <= 1) throw httpError(409, { error: 'Cannot remove the last admin' });
+      }
+      
+      await dbRun('UPDATE users SET role = ? WHERE id = ?', [role, userId]);
+    });
+    res.json({ ok: true, userId, role });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json(err.body);
+    console.error('Failed to update role:', err);
+    res.status(500).json({ error: 'Failed to update role' });
+  }
+});
+
+// API: Clear all claims for a user from today (moderators and admins)
+app.post('/admin/users/:userId/clear-today', requirePermission('delete_any_claim'), async (req, res) => {
+  const userId = parseInt(req.params.userId);
+  
+  if (!Number.isInteger(userId) || userId <= 0) {
+    return res.status(400).json({ error: 'Invalid user ID' });
+  }
   
-  let query = 'SELECT id, x, y, date, team, color, player, user_id FROM claims WHERE 1=1';
+  const today = getServerLocalDate();
+  
+  try {
+    const result = await withTransaction(async () => {
+      const user = await dbGet('SELECT username FROM users WHERE id = ?', [userId]);
+      if (!user) throw httpError(404, { error: 'User not found' });
+      
+      // Get all claims from today for this user
+      const claims = await dbAll('SELECT id FROM claims WHERE user_id = ? AND date LIKE ? AND ended_at IS NULL', [userId, today + '%']);
+      if (claims.length === 0) {
+        return { removed: [], response: { ok: true, deleted: 0, message: 'No claims found for today' } };
+      }
+      
+      const revision = await bumpClaimsRevision();
+      const removed = await removeClaims(claims.map(c => c.id), revision, 'clear', {
+        actorId: req.session.userId,
+        actor: req.session.username,
+        cause: `Admin cleared today's claims for ${user.username}`
+      });
+      
+      // Refund the claims by resetting claims_used_today to 0
+      await dbRun('UPDATE users SET claims_used_today = 0 WHERE id = ? AND last_claim_date = ?', [userId, today]);
+      
+      return {
+        removed,
+        revision,
+        response: { 
+          ok: true, 
+          deleted: removed.length,
+          refunded: true,
+          username: user.username
+        }
+      };
+    });
+    if (result.removed.length) broadcastClaimEvent('deleted', { claims: result.removed, revision: result.revision });
+    dispatchClaimsDeleted(result.removed, result.revision, req.session.username, `Admin cleared today's claims for ${result.response.username}`);
+    res.json(result.response);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json(err.body);
+    console.error('Failed to clear claims:', err);
+    res.status(500).json({ error: 'Failed to delete claims' });
+  }
+});
+
+// Claim search and export return at most this many claims
+const CLAIM_SEARCH_LIMIT = 1000;
+
+// Live claims for the filters shared by the search and export endpoints, newest first: player
+// and team match partially, date is a YYYY-MM-DD prefix. limit is capped at CLAIM_SEARCH_LIMIT.
+// Returns { claims, limit, truncated }, truncated when more claims matched than were returned.
+async function findClaims({ player, team, date, protectedOnly, limit }, columns) {
+  let where = ' WHERE ended_at IS NULL';
   const params = [];
   
+  // Claims still inside the protection window
+  if (protectedOnly) {
+    where += ' AND COALESCE(protected_from, created_at) > ?';
+    params.push(new Date(Date.now() - claimProtectionMs()).toISOString());
+  }
+  
   if (player) {
-    query += ' AND player LIKE ?';
+    where += ' AND player LIKE ?';
     params.push(`%${player}%`);
   }
   
   if (team) {
-    query += ' AND team LIKE ?';
+    where += ' AND team LIKE ?';
     params.push(`%${team}%`);
   }
   
   if (date) {
-    query += ' AND date LIKE ?';
+    where += ' AND date LIKE ?';
     params.push(`${date}%`);
   }
   
-  query += ' ORDER BY date DESC LIMIT ?';
-  params.push(limit);
+  const max = Math.min(CLAIM_SEARCH_LIMIT, Math.max(1, parseInt(limit) || CLAIM_SEARCH_LIMIT));
+  // One extra row tells whether the cap cut the results short
+  const claims = await dbAll(`SELECT ${columns} FROM claims${where} ORDER BY date DESC, id DESC LIMIT ?`, [...params, max + 1]);
+  const truncated = claims.length > max;
+  if (truncated) claims.pop();
+  return { claims, limit: max, truncated };
+}
+
+// API: Search/filter claims (moderators and admins)
+app.post('/admin/claims/search', requirePermission('view_claims_admin'), async (req, res) => {
+  try {
+    const { claims, limit, truncated } = await findClaims(req.body || {}, 'id, x, y, date, team, color, player, user_id, region_id, created_at, protected_from');
+    const now = Date.now();
+    claims.forEach(c => { c.protectedUntil = protectedUntil(c, now); });
+    res.json({ claims, count: claims.length, limit, truncated });
+  } catch (err) {
+    console.error('Failed to search claims:', err);
+    res.status(500).json({ error: 'Failed to search claims' });
+  }
+});
+
+// API: Page through the claim history (moderators and admins)
+// Query: player (matches claim owner or actor), team, region, action, page (1-based), pageSize
+app.get('/admin/claim-events', requirePermission('view_claims_admin'), async (req, res) => {
+  const { player, team, region, action } = req.query;
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const pageSize = Math.min(500, Math.max(1, parseInt(req.query.pageSize) || 50));
+  
+  let where = ' WHERE 1=1';
+  const params = [];
   
-  db.all(query, params, (err, claims) => {
-    if (err) {
-      console.error('Failed to search claims:', err);
-      return res.status(500).json({ error: 'Failed to search claims' });
+  if (player) {
+    where += ' AND (player LIKE ? OR actor LIKE ?)';
+    params.push(`%${player}%`, `%${player}%`);
+  }
+  
+  if (team) {
+    where += ' AND team LIKE ?';
+    params.push(`%${team}%`);
+  }
+  
+  if (region) {
+    const regionId = parseInt(region);
+    if (!Number.isInteger(regionId) || regionId <= 0) {
+      return res.status(400).json({ error: 'Invalid region ID' });
     }
-    
-    res.json({ claims: claims || [], count: claims?.length || 0 });
-  });
+    where += ' AND region_id = ?';
+    params.push(regionId);
+  }
+  
+  if (action) {
+    where += ' AND action = ?';
+    params.push(action);
+  }
+  
+  try {
+    const { total } = await dbGet('SELECT COUNT(*) AS total FROM claim_events' + where, params);
+    const events = await dbAll(
+      'SELECT * FROM claim_events' + where + ' ORDER BY id DESC LIMIT ? OFFSET ?',
+      [...params, pageSize, (page - 1) * pageSize]
+    );
+    res.json({ events, page, pageSize, total });
+  } catch (err) {
+    console.error('Failed to fetch claim events:', err);
+    res.status(500).json({ error: 'Failed to fetch claim events' });
+  }
+});
+
+// Bulk actions on claims picked from a search. Deleting needs delete_any_claim (moderators);
+// moving claims to another team or player needs reassign_claims (admins).
+const BULK_CLAIM_ACTIONS = {
+  delete: 'delete_any_claim',
+  reassign_team: 'reassign_claims',
+  reassign_player: 'reassign_claims'
+};
+const BULK_CLAIM_LIMIT = 10000;
+
+// Counts of claims per player and per team, for confirming a bulk action
+function claimCounts(claims) {
+  const players = {};
+  const teams = {};
+  for (const c of claims) {
+    const player = c.player || '(none)';
+    const team = c.team || '(none)';
+    players[player] = (players[player] || 0) + 1;
+    teams[team] = (teams[team] || 0) + 1;
+  }
+  return { players, teams };
+}
+
+// API: delete or reassign a set of live claims (moderators and admins).
+// Body: { action: 'delete' | 'reassign_team' | 'reassign_player', ids, team, player, dryRun }.
+// With dryRun the claims are only counted; otherwise the change is applied in one transaction
+// and written to the admin action log.
+app.post('/admin/claims/bulk', requirePermission('delete_any_claim'), async (req, res) => {
+  const { action, ids, dryRun } = req.body || {};
+  if (!Object.prototype.hasOwnProperty.call(BULK_CLAIM_ACTIONS, action)) {
+    return res.status(400).json({ error: `Unknown action; use ${Object.keys(BULK_CLAIM_ACTIONS).join(', ')}` });
+  }
+  if (!hasPermission(req.userRole, BULK_CLAIM_ACTIONS[action])) {
+    return res.status(403).json({ error: 'You do not have permission to do that' });
+  }
+  if (!Array.isArray(ids) || ids.length === 0) return res.status(400).json({ error: 'No claims selected' });
+  if (ids.length > BULK_CLAIM_LIMIT) {
+    return res.status(400).json({ error: `At most ${BULK_CLAIM_LIMIT} claims can be changed at once` });
+  }
+  const clean = [...new Set(ids.map(i => parseInt(i)).filter(n => Number.isInteger(n)))];
+  if (clean.length === 0) return res.status(400).json({ error: 'No valid ids provided' });
+
+  const team = req.body.team;
+  if (action === 'reassign_team' && !isKnownTeam(team)) {
+    return res.status(400).json({ error: 'Unknown team: ' + team });
+  }
+
+  const actor = req.session.username;
+  try {
+    const result = await withTransaction(async () => {
+      let target = null;
+      if (action === 'reassign_player') {
+        target = await dbGet('SELECT id, username, team FROM users WHERE username = ?', [String(req.body.player || '')]);
+        if (!target) throw httpError(404, { error: 'No player named ' + req.body.player });
+        // Claims follow the player onto their team; a player without one leaves the teams as they are
+        if (!isKnownTeam(target.team)) target.team = null;
+      }
+
+      const claims = await dbAll(
+        `SELECT * FROM claims WHERE ended_at IS NULL AND id IN (${clean.map(() => '?').join(',')})`,
+        clean
+      );
+      const summary = {
+        action,
+        claims: claims.length,
+        skipped: clean.length - claims.length,
+        ...claimCounts(claims),
+        ...(action === 'reassign_team' ? { team } : {}),
+        ...(target ? { player: target.username, team: target.team } : {})
+      };
+      if (dryRun || !claims.length) return { summary, removed: [], replaced: [], inserted: [] };
+
+      const revision = await bumpClaimsRevision();
+      const audit = { actorId: req.session.userId, actor };
+      let removed = [];
+      let replaced = [];
+      const inserted = [];
+      if (action === 'delete') {
+        removed = await removeClaims(claims.map(c => c.id), revision, 'delete', { ...audit, cause: 'Bulk delete' });
+      } else {
+        // Claim rows are never rewritten: the old claim ends and a new one takes the region, so
+        // replays and /claims/at still show who held it before
+        const to = action === 'reassign_team' ? team : target.username;
+        const newTeam = action === 'reassign_team' ? team : target.team;
+        replaced = await removeClaims(claims.map(c => c.id), revision, 'replace', { ...audit, cause: `Bulk reassign to ${to}` });
+        const now = new Date().toISOString();
+        for (const claim of claims) {
+          const next = { ...claim };
+          if (newTeam) Object.assign(next, { team: newTeam, color: serverSettings.Teams[newTeam].color || null });
+          if (target) Object.assign(next, { user_id: target.id, player: target.username });
+          // A reassign is not a capture, so the protection window carries over
+          const { lastID } = await dbRun(
+            'INSERT INTO claims (x, y, date, team, color, user_id, player, region_id, revision, created_at, protected_from) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+            [next.x, next.y, next.date, next.team, next.color, next.user_id, next.player, next.region_id, revision, now,
+              claim.protected_from || claim.created_at]
+          );
+          const row = await dbGet('SELECT * FROM claims WHERE id = ?', [lastID]);
+          const from = action === 'reassign_team' ? claim.team : claim.player;
+          await recordClaimEvent('reassign', row, { ...audit, cause: `Bulk reassign from ${from || '(none)'}` });
+          inserted.push(row);
+        }
+        // Capture progress belongs to the team that held a region; the new holder starts over
+        if (newTeam) {
+          const regionIds = [...new Set(claims.map(c => c.region_id).filter(Boolean))];
+          for (const regionId of regionIds) {
+            await dbRun('DELETE FROM capture_progress WHERE region_id = ? AND team = ?', [regionId, newTeam]);
+          }
+        }
+      }
+
+      await dbRun(
+        'INSERT INTO admin_actions (action, actor_id, actor, claim_count, details, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+        [action, req.session.userId, actor, claims.length, JSON.stringify(summary), new Date().toISOString()]
+      );
+      return { summary, removed, replaced, inserted, revision };
+    });
+
+    if (!dryRun && result.summary.claims) {
+      console.log(`Bulk ${action} of ${result.summary.claims} claim(s) by ${actor}`);
+    }
+    const ended = [...result.removed, ...result.replaced];
+    if (ended.length) broadcastClaimEvent('deleted', { claims: ended, revision: result.revision });
+    if (result.inserted.length) broadcastClaimEvent('created', { claims: result.inserted, revision: result.revision });
+    res.json({ ok: true, dryRun: !!dryRun, ...result.summary });
+
+    dispatchClaimsDeleted(result.removed, result.revision, actor, 'Bulk delete');
+    if (result.inserted.length) {
+      webhooks.dispatch('claim.created', { actor, claims: result.inserted.map(webhookClaim), revision: result.revision });
+      // replaced and inserted are both in the order of the selected claims
+      webhooks.dispatch('claim.replaced', {
+        actor,
+        claims: result.replaced.map((c, i) => ({ ...webhookClaim(c), replacedBy: webhookClaim(result.inserted[i]) })),
+        revision: result.revision
+      });
+    }
+  } catch (err) {
+    if (err.status) return res.status(err.status).json(err.body);
+    console.error('Failed to apply bulk claim action', err);
+    res.status(500).json({ error: 'Failed to apply bulk claim action' });
+  }
+});
+
+// API: the admin action log, newest first. Query: page (1-based), pageSize (moderators and admins)
+app.get('/admin/actions', requirePermission('view_claims_admin'), async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const pageSize = Math.min(200, Math.max(1, parseInt(req.query.pageSize) || 20));
+  try {
+    const { total } = await dbGet('SELECT COUNT(*) AS total FROM admin_actions');
+    const rows = await dbAll('SELECT * FROM admin_actions ORDER BY id DESC LIMIT ? OFFSET ?', [pageSize, (page - 1) * pageSize]);
+    res.json({
+      actions: rows.map(r => ({
+        id: r.id,
+        action: r.action,
+        actor: r.actor,
+        claimCount: r.claim_count,
+        details: r.details ? JSON.parse(r.details) : null,
+        createdAt: r.created_at
+      })),
+      page,
+      pageSize,
+      total
+    });
+  } catch (err) {
+    console.error('Failed to read admin actions', err);
+    res.status(500).json({ error: 'Failed to read admin actions' });
+  }
 });
 
-app.post('/claims/delete', requireAuth, (req, res) => {
+app.post('/claims/delete', requireAuth, rateLimit('claim-deletes', 'deleteRequestsPerMinute', 60 * 1000), async (req, res) => {
   const ids = req.body && req.body.ids;
   if (!Array.isArray(ids) || ids.length === 0) return res.status(400).json({ error: 'No ids provided' });
   
   const clean = ids.map(i => parseInt(i)).filter(n => Number.isInteger(n));
   if (clean.length === 0) return res.status(400).json({ error: 'No valid ids provided' });
 
-  const isAdmin = serverSettings.Admins && serverSettings.Admins.includes(req.session.username);
   const today = getServerLocalDate();
 
-  // First, verify ownership and get claim info
-  db.all(
-    `SELECT id, user_id, player FROM claims WHERE id IN (${clean.map(() => '?').join(',')})`,
-    clean,
-    (err, claims) => {
-      if (err) {
-        console.error('Failed to fetch claims for deletion:', err);
-        return res.status(500).json({ error: 'DB query failed' });
-      }
+  try {
+    const result = await withTransaction(async () => {
+      const actor = await dbGet('SELECT role FROM users WHERE id = ?', [req.session.userId]);
+      const canDeleteAny = hasPermission(actor && actor.role, 'delete_any_claim');
+
+      // First, verify ownership and get claim info
+      const claims = await dbAll(
+        `SELECT id, user_id, player FROM claims WHERE ended_at IS NULL AND id IN (${clean.map(() => '?').join(',')})`,
+        clean
+      );
 
-      // Filter claims based on ownership (unless admin)
+      // Filter claims based on ownership (unless moderator/admin)
       const allowedIds = [];
       const deniedIds = [];
+      let ownCount = 0;
       
       for (const claim of claims) {
-        if (isAdmin || claim.user_id === req.session.userId) {
+        if (claim.user_id === req.session.userId) ownCount++;
+        if (canDeleteAny || claim.user_id === req.session.userId) {
           allowedIds.push(claim.id);
         } else {
           deniedIds.push(claim.id);
@@ -622,127 +2352,1440 @@ app.post('/claims/delete', requireAuth, (req, res) => {
       }
 
       if (allowedIds.length === 0) {
-        return res.status(403).json({ 
+        throw httpError(403, { 
           error: 'You can only delete your own claims',
           denied: deniedIds.length
         });
       }
 
-      // Delete allowed claims
-      db.serialize(() => {
-        db.run('BEGIN TRANSACTION');
-        const stmt = db.prepare('DELETE FROM claims WHERE id = ?');
-        for (const id of allowedIds) stmt.run(id);
-        db.run('COMMIT', (err) => {
-          stmt.finalize();
-          if (err) {
-            console.error('Failed to delete claims', err);
-            return res.status(500).json({ error: 'DB delete failed' });
-          }
-
-          // Return claims to the user (decrement claims_used_today)
-          if (!isAdmin && allowedIds.length > 0) {
-            db.get(
-              'SELECT claims_used_today, last_claim_date FROM users WHERE id = ?',
-              [req.session.userId],
-              (err, user) => {
-                if (err || !user) {
-                  console.error('Failed to fetch user for claim return:', err);
-                  return res.json({ 
-                    ok: true, 
-                    deleted: allowedIds.length,
-                    denied: deniedIds.length 
-                  });
-                }
-
-                let claimsUsed = user.claims_used_today || 0;
-                // Only decrement if it's the same day
-                if (user.last_claim_date === today) {
-                  // Give back 2 claims for each claim removed
-                  claimsUsed = Math.max(0, claimsUsed - (allowedIds.length * 2));
-                  
-                  db.run(
-                    'UPDATE users SET claims_used_today = ? WHERE id = ?',
-                    [claimsUsed, req.session.userId],
-                    (err) => {
-                      if (err) console.error('Failed to update claims_used_today:', err);
-                      return res.json({ 
-                        ok: true, 
-                        deleted: allowedIds.length,
-                        denied: deniedIds.length,
-                        claimsReturned: allowedIds.length * 2
-                      });
-                    }
-                  );
-                } else {
-                  return res.json({ 
-                    ok: true, 
-                    deleted: allowedIds.length,
-                    denied: deniedIds.length,
-                    claimsReturned: 0
-                  });
-                }
-              }
-            );
-          } else {
-            return res.json({ 
-              ok: true, 
-              deleted: allowedIds.length,
-              denied: deniedIds.length
-            });
-          }
-        });
+      const revision = await bumpClaimsRevision();
+      const removed = await removeClaims(allowedIds, revision, 'delete', {
+        actorId: req.session.userId,
+        actor: req.session.username,
+        cause: 'Deleted via /claims/delete'
       });
-    }
-  );
+      const response = { ok: true, deleted: removed.length, denied: deniedIds.length };
+
+      if (hasPermission(actor && actor.role, 'unrestricted_claims')) {
+        return { removed, revision, response };
+      }
+
+      // Return claims to the user (decrement claims_used_today), only if it's the same day
+      const user = await dbGet('SELECT claims_used_today, last_claim_date FROM users WHERE id = ?', [req.session.userId]);
+      if (!user || user.last_claim_date !== today) {
+        response.claimsReturned = 0;
+        return { removed, revision, response };
+      }
+
+      // Give back 2 claims for each of your own claims removed
+      const claimsUsed = Math.max(0, (user.claims_used_today || 0) - (ownCount * 2));
+      await dbRun('UPDATE users SET claims_used_today = ? WHERE id = ?', [claimsUsed, req.session.userId]);
+      response.claimsReturned = ownCount * 2;
+      return { removed, revision, response };
+    });
+    if (result.removed.length) broadcastClaimEvent('deleted', { claims: result.removed, revision: result.revision });
+    dispatchClaimsDeleted(result.removed, result.revision, req.session.username, 'Deleted via /claims/delete');
+    res.json(result.response);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json(err.body);
+    console.error('Failed to delete claims', err);
+    res.status(500).json({ error: 'DB delete failed' });
+  }
 });
 
-// API: upload map PNG (admin only)
-app.post('/upload-map', requireAdmin, upload.single('mapImage'), async (req, res) => {
-  if (!req.file) {
-    return res.status(400).json({ error: 'No file uploaded' });
+// Check a POST /admin/settings body. Returns the new setting values by key plus team renames
+// (old name -> new name); throws httpError(400) describing the first problem found.
+function validateSettingsUpdate(body) {
+  const updates = {};
+  const renames = {};
+
+  if (body.teams !== undefined) {
+    if (!Array.isArray(body.teams) || body.teams.length === 0) {
+      throw httpError(400, { error: 'At least one team is required' });
+    }
+    const teams = {};
+    const seen = new Set();
+    for (const t of body.teams) {
+      const name = typeof t.name === 'string' ? t.name.trim() : '';
+      if (!name || name.length > 32) {
+        throw httpError(400, { error: 'Team names must be 1-32 characters' });
+      }
+      if (seen.has(name.toLowerCase())) {
+        throw httpError(400, { error: `Duplicate team name: ${name}` });
+      }
+      seen.add(name.toLowerCase());
+      if (typeof t.color !== 'string' || !/^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/.test(t.color)) {
+        throw httpError(400, { error: `Invalid color for ${name}: use a hex color like #ff0000` });
+      }
+      teams[name] = { ...(serverSettings.Teams && serverSettings.Teams[t.originalName]), color: t.color.toLowerCase() };
+      if (t.originalName && t.originalName !== name && isKnownTeam(t.originalName)) {
+        renames[t.originalName] = name;
+      }
+    }
+    updates.Teams = teams;
   }
-  
-  if (!req.file.mimetype.startsWith('image/')) {
-    fs.unlinkSync(req.file.path);
-    return res.status(400).json({ error: 'File must be an image' });
+
+  if (body.defaultDailyClaimLimit !== undefined) {
+    const limit = Number(body.defaultDailyClaimLimit);
+    if (!Number.isInteger(limit) || limit <= 0) {
+      throw httpError(400, { error: 'Default daily claim limit must be a positive whole number' });
+    }
+    updates.defaultDailyClaimLimit = limit;
   }
-  
-  try {
-    // Read ServerSettings.json to get the current map path
-    const settingsPath = path.join(__dirname, 'ServerSettings.json');
-    const settingsData = JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
-    const mapPath = path.join(__dirname, settingsData.mapImage);
-    
-    // Backup the old map
-    const backupPath = mapPath + '.backup';
-    if (fs.existsSync(mapPath)) {
-      fs.copyFileSync(mapPath, backupPath);
+
+  if (body.claimProtectionMinutes !== undefined) {
+    const minutes = Number(body.claimProtectionMinutes);
+    if (!Number.isInteger(minutes) || minutes < 0) {
+      throw httpError(400, { error: 'Protection minutes must be a whole number, 0 or more' });
     }
-    
-    // Move uploaded file to replace the map
-    fs.copyFileSync(req.file.path, mapPath);
-    fs.unlinkSync(req.file.path);
-    
-    res.json({ ok: true, message: 'Map uploaded successfully' });
+    updates.claimProtectionMinutes = minutes;
+  }
+
+  // Only the fields sent change; starting points are replaced as a whole and keyed by team name
+  // after any renames in the same update
+  if (body.adjacencyRule !== undefined) {
+    const rule = body.adjacencyRule;
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      throw httpError(400, { error: 'Adjacency rule must be an object' });
+    }
+    const next = { enabled: false, startingPoints: {}, ...serverSettings.adjacencyRule };
+    if (rule.enabled !== undefined) {
+      if (typeof rule.enabled !== 'boolean') throw httpError(400, { error: 'adjacencyRule.enabled must be true or false' });
+      next.enabled = rule.enabled;
+    }
+    if (rule.startingPoints !== undefined) {
+      if (!rule.startingPoints || typeof rule.startingPoints !== 'object' || Array.isArray(rule.startingPoints)) {
+        throw httpError(400, { error: 'adjacencyRule.startingPoints must map team names to lists of [x, y] points' });
+      }
+      const teams = updates.Teams || serverSettings.Teams || {};
+      const startingPoints = {};
+      for (const [team, points] of Object.entries(rule.startingPoints)) {
+        if (!Object.prototype.hasOwnProperty.call(teams, team)) {
+          throw httpError(400, { error: `Starting points for unknown team: ${team}` });
+        }
+        const valid = Array.isArray(points) && points.every(p => Array.isArray(p) && p.length === 2 &&
+          p.every(n => Number.isFinite(n) && n >= 0) && (!regionIndex || (p[0] < regionIndex.width && p[1] < regionIndex.height)));
+        if (!valid) {
+          throw httpError(400, { error: `Starting points for ${team} must be [x, y] pixels on the map` });
+        }
+        startingPoints[team] = points;
+      }
+      next.startingPoints = startingPoints;
+    }
+    updates.adjacencyRule = next;
+  }
+
+  if (body.regionStrength !== undefined) {
+    const rule = body.regionStrength;
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      throw httpError(400, { error: 'Region strength must be an object' });
+    }
+    const next = { enabled: false, claimsToCapture: 3, decayMinutes: 60, ...serverSettings.regionStrength };
+    if (rule.enabled !== undefined) {
+      if (typeof rule.enabled !== 'boolean') throw httpError(400, { error: 'regionStrength.enabled must be true or false' });
+      next.enabled = rule.enabled;
+    }
+    if (rule.claimsToCapture !== undefined) {
+      if (!Number.isInteger(rule.claimsToCapture) || rule.claimsToCapture < 1) {
+        throw httpError(400, { error: 'regionStrength.claimsToCapture must be a whole number, 1 or more' });
+      }
+      next.claimsToCapture = rule.claimsToCapture;
+    }
+    if (rule.decayMinutes !== undefined) {
+      if (!Number.isInteger(rule.decayMinutes) || rule.decayMinutes < 0) {
+        throw httpError(400, { error: 'regionStrength.decayMinutes must be a whole number, 0 or more' });
+      }
+      next.decayMinutes = rule.decayMinutes;
+    }
+    updates.regionStrength = next;
+  }
+
+  if (body.rateLimits !== undefined) {
+    if (!body.rateLimits || typeof body.rateLimits !== 'object') {
+      throw httpError(400, { error: 'Rate limits must be an object' });
+    }
+    const limits = { ...rateLimitSettings() };
+    for (const [key, raw] of Object.entries(body.rateLimits)) {
+      const value = Number(raw);
+      if (!(key in RATE_LIMIT_DEFAULTS)) {
+        throw httpError(400, { error: `Unknown rate limit: ${key}` });
+      }
+      if (!Number.isInteger(value) || value < 0 || (key === 'loginWindowMinutes' && value < 1)) {
+        throw httpError(400, { error: `Rate limit ${key} must be a whole number, 0 or more (1 or more for the window)` });
+      }
+      limits[key] = value;
+    }
+    updates.rateLimits = limits;
+  }
+
+  if (body.mapImage !== undefined && body.mapImage !== serverSettings.mapImage) {
+    const mapImage = typeof body.mapImage === 'string' ? body.mapImage.trim() : '';
+    const mapPath = path.resolve(resolveMapPath(mapImage));
+    const mapsDir = path.join(path.dirname(dbFile), 'maps');
+    // Clients load the image too, so it has to be somewhere that is served
+    if (!mapImage.toLowerCase().endsWith('.png') ||
+        !(mapPath.startsWith(path.join(__dirname, 'resources') + path.sep) || mapPath.startsWith(mapsDir + path.sep))) {
+      throw httpError(400, { error: 'Map image must be a .png file in resources/ or maps/' });
+    }
+    if (!fs.existsSync(mapPath)) {
+      throw httpError(400, { error: 'Map image not found: ' + mapImage });
+    }
+    updates.mapImage = mapImage;
+  }
+
+  return { updates, renames };
+}
+
+// API: current game settings (public; replaces reading ServerSettings.json directly)
+app.get('/settings', (req, res) => {
+  res.json(publicSettings());
+});
+
+// API: game settings with the keys overridden in the database (admin only)
+app.get('/admin/settings', requirePermission('manage_settings'), async (req, res) => {
+  try {
+    const rows = await dbAll('SELECT key FROM settings');
+    res.json({ settings: editableSettings(), overridden: rows.map(r => r.key) });
   } catch (err) {
-    console.error('Failed to upload map', err);
-    if (req.file) fs.unlinkSync(req.file.path);
-    res.status(500).json({ error: 'Failed to upload map: ' + err.message });
+    res.status(500).json({ error: 'DB read failed' });
   }
 });
 
-// API: list claims
-app.get('/claims', (req, res) => {
-  db.all('SELECT * FROM claims ORDER BY id DESC', (err, rows) => {
-    if (err) return res.status(500).json({ error: 'DB read failed' });
-    res.json({ claims: rows });
+// API: update game settings (admin only). Body: { teams: [{ name, color, originalName }],
+// defaultDailyClaimLimit, claimProtectionMinutes, mapImage }, all optional. Renaming a team
+// moves its members and claims along; teams with members or live claims cannot be removed.
+// Changes apply immediately and are pushed to clients as a 'settings' stream event.
+app.post('/admin/settings', requirePermission('manage_settings'), async (req, res) => {
+  let updates, renames;
+  try {
+    ({ updates, renames } = validateSettingsUpdate(req.body || {}));
+  } catch (err) {
+    return res.status(err.status || 400).json(err.body || { error: err.message });
+  }
+
+  // Index a new map before touching anything, so a bad image changes nothing
+  let newIndex = null;
+  if (updates.mapImage) {
+    try {
+      newIndex = loadRegionIndex(updates.mapImage);
+    } catch (err) {
+      return res.status(400).json({ error: 'Map must be a valid PNG image: ' + err.message });
+    }
+  }
+
+  let revision = null;
+  try {
+    await withTransaction(async () => {
+      if (updates.Teams) {
+        const renamed = new Set(Object.keys(renames));
+        for (const team of Object.keys(serverSettings.Teams || {})) {
+          if (updates.Teams[team] || renamed.has(team)) continue;
+          const { members } = await dbGet('SELECT COUNT(*) AS members FROM users WHERE team = ?', [team]);
+          const { live } = await dbGet('SELECT COUNT(*) AS live FROM claims WHERE team = ? AND ended_at IS NULL', [team]);
+          if (members || live) {
+            throw httpError(409, { error: `Cannot remove ${team}: it still has ${members} member(s) and ${live} claim(s)` });
+          }
+        }
+
+        // Live claims take the new team name and color; bump the revision so clients resync them
+        const changed = Object.keys(updates.Teams).filter(name => {
+          const before = Object.keys(renames).find(old => renames[old] === name) || name;
+          const old = serverSettings.Teams && serverSettings.Teams[before];
+          return before !== name || (old && old.color !== updates.Teams[name].color);
+        });
+        if (changed.length) revision = await bumpClaimsRevision();
+        for (const name of changed) {
+          const before = Object.keys(renames).find(old => renames[old] === name) || name;
+          await dbRun(
+            'UPDATE claims SET team = ?, color = ?, revision = ? WHERE team = ? AND ended_at IS NULL',
+            [name, updates.Teams[name].color, revision, before]
+          );
+          if (before !== name) {
+            await dbRun('UPDATE claims SET team = ? WHERE team = ? AND ended_at IS NOT NULL', [name, before]);
+            await dbRun('UPDATE users SET team = ? WHERE team = ?', [name, before]);
+            await dbRun('UPDATE capture_progress SET team = ? WHERE team = ?', [name, before]);
+          }
+        }
+
+        // Starting points are keyed by team name (ones sent with this update already use the new names)
+        const rule = serverSettings.adjacencyRule;
+        if (Object.keys(renames).length && !updates.adjacencyRule && rule && rule.startingPoints) {
+          const startingPoints = {};
+          Object.entries(rule.startingPoints).forEach(([team, points]) => {
+            startingPoints[renames[team] || team] = points;
+          });
+          updates.adjacencyRule = { ...rule, startingPoints };
+        }
+      }
+
+      for (const [key, value] of Object.entries(updates)) {
+        await dbRun('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)', [key, JSON.stringify(value)]);
+      }
+    });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json(err.body);
+    console.error('Failed to update settings:', err);
+    return res.status(500).json({ error: 'Failed to update settings' });
+  }
+
+  Object.assign(serverSettings, updates);
+  console.log('Settings updated:', Object.keys(updates).join(', '));
+
+  const finish = (claimsRemapped) => {
+    broadcastClaimEvent('settings', { settings: publicSettings(), revision });
+    res.json({ ok: true, settings: editableSettings(), claimsRemapped });
+  };
+  if (!newIndex) return finish(0);
+  activateRegionIndex(newIndex, (err, updated) => {
+    if (err) console.error('Failed to reindex claim regions after map change:', err);
+    finish(updated || 0);
   });
 });
 
-// Serve static files (your site) - MUST come after API routes
-app.use(express.static(path.join(__dirname)));
+// Region index of a map version that is not live yet, kept so checking a version and then
+// activating it only indexes the image once
+let stagedMapIndex = null; // { version, index }
+
+function loadMapVersionIndex(row) {
+  if (stagedMapIndex && stagedMapIndex.version === row.id) return stagedMapIndex.index;
+  const index = loadRegionIndex(row.file);
+  stagedMapIndex = { version: row.id, index };
+  return index;
+}
+
+// Save an already indexed PNG as a new map version (not live yet)
+async function storeMapVersion(pngBuffer, originalName, index, username) {
+  const mapsDir = path.join(path.dirname(dbFile), 'maps');
+  fs.mkdirSync(mapsDir, { recursive: true });
+  const row = await withTransaction(async () => {
+    const { lastID } = await dbRun(
+      'INSERT INTO map_versions (file, width, height, regions, original_name, uploaded_by, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      ['', index.width, index.height, index.regions.length - 1, originalName || null, username, new Date().toISOString()]
+    );
+    const mapImage = `maps/map-${lastID}.png`;
+    fs.writeFileSync(resolveMapPath(mapImage), pngBuffer);
+    await dbRun('UPDATE map_versions SET file = ? WHERE id = ?', [mapImage, lastID]);
+    return dbGet('SELECT * FROM map_versions WHERE id = ?', [lastID]);
+  });
+  stagedMapIndex = { version: row.id, index };
+  return row;
+}
+
+// Compare a map version with the live map: size change, and how many live claim seeds
+// no longer land in a white region (seedsOutside) or have none within the 80px
+// re-index radius either (seedsLost), so their claims would drop off the map
+async function mapVersionReport(row, index) {
+  const claims = await dbAll('SELECT x, y FROM claims WHERE ended_at IS NULL');
+  let seedsOutside = 0;
+  let seedsLost = 0;
+  for (const c of claims) {
+    if (regionAt(index, c.x, c.y)) continue;
+    seedsOutside++;
+    if (!findRegionNear(index, c.x, c.y, 80)) seedsLost++;
+  }
+  return {
+    version: row.id,
+    width: index.width,
+    height: index.height,
+    regions: index.regions.length - 1,
+    current: regionIndex
+      ? { mapImage: serverSettings.mapImage, width: regionIndex.width, height: regionIndex.height, regions: regionIndex.regions.length - 1 }
+      : null,
+    sizeChanged: !regionIndex || regionIndex.width !== index.width || regionIndex.height !== index.height,
+    claims: claims.length,
+    seedsOutside,
+    seedsLost
+  };
+}
+
+// Re-seed every claim into the region of newIndex that best matches its region on the live
+// map: the new region covering most of the old region's pixels (scaled when the size
+// changed), else the region nearest the scaled seed. Returns how many claims moved.
+async function migrateClaimSeeds(oldIndex, newIndex) {
+  const scaleX = oldIndex ? newIndex.width / oldIndex.width : 1;
+  const scaleY = oldIndex ? newIndex.height / oldIndex.height : 1;
+  const bestByOldRegion = new Map();
+
+  const bestMatch = (oldId) => {
+    if (bestByOldRegion.has(oldId)) return bestByOldRegion.get(oldId);
+    const r = oldIndex.regions[oldId];
+    const overlap = new Map();
+    for (let y = r.minY; y <= r.maxY; y++) {
+      for (let x = r.minX; x <= r.maxX; x++) {
+        if (oldIndex.labels[y * oldIndex.width + x] !== oldId) continue;
+        const id = regionAt(newIndex, x * scaleX, y * scaleY);
+        if (id) overlap.set(id, (overlap.get(id) || 0) + 1);
+      }
+    }
+    let best = 0;
+    let bestCount = 0;
+    overlap.forEach((count, id) => {
+      if (count > bestCount) {
+        best = id;
+        bestCount = count;
+      }
+    });
+    bestByOldRegion.set(oldId, best);
+    return best;
+  };
+
+  const claims = await dbAll('SELECT id, x, y, region_id FROM claims');
+  let moved = 0;
+  for (const c of claims) {
+    const oldId = oldIndex ? c.region_id || findRegionNear(oldIndex, c.x, c.y, 80) : 0;
+    const target = (oldId && oldIndex.regions[oldId] && bestMatch(oldId)) ||
+      findRegionNear(newIndex, c.x * scaleX, c.y * scaleY, 80);
+    if (!target) continue;
+    const anchor = newIndex.regions[target];
+    if (anchor.x === c.x && anchor.y === c.y) continue;
+    await dbRun('UPDATE claims SET x = ?, y = ? WHERE id = ?', [anchor.x, anchor.y, c.id]);
+    moved++;
+  }
+  return moved;
+}
+
+// Make a map version the live map. With migrate, claims are re-seeded into the best-matching
+// regions first; either way their region ids are then re-derived from their seeds.
+async function activateMapVersion(version, migrate) {
+  const row = await dbGet('SELECT * FROM map_versions WHERE id = ?', [version]);
+  if (!row) throw httpError(404, { error: 'Map version not found' });
+
+  let newIndex;
+  try {
+    newIndex = loadMapVersionIndex(row);
+  } catch (err) {
+    throw httpError(400, { error: 'Map version could not be read: ' + err.message });
+  }
+
+  let migrated = 0;
+  if (migrate) await writeBackupFile('before-map-migration');
+  await withTransaction(async () => {
+    if (migrate) migrated = await migrateClaimSeeds(regionIndex, newIndex);
+    await dbRun('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)', ['mapImage', JSON.stringify(row.file)]);
+  });
+  serverSettings.mapImage = row.file;
+  stagedMapIndex = null;
+  console.log(`Map version ${row.id} (${row.file}) is now live${migrate ? `, ${migrated} claim(s) re-seeded` : ''}`);
+
+  const claimsRemapped = await new Promise((resolve, reject) => {
+    activateRegionIndex(newIndex, (err, updated) => (err ? reject(err) : resolve(updated)));
+  });
+  broadcastClaimEvent('settings', { settings: publicSettings(), revision: null });
+  return { version: row.id, mapImage: row.file, migrated, claimsRemapped };
+}
+
+// Tell webhooks about a newly stored map version
+function dispatchMapUploaded(row, activated) {
+  webhooks.dispatch('map.uploaded', {
+    actor: row.uploaded_by,
+    version: row.id,
+    originalName: row.original_name,
+    width: row.width,
+    height: row.height,
+    regions: row.regions,
+    activated
+  });
+}
+
+// Check an upload from multer and index it; throws httpError(400) for anything but a readable PNG
+function indexUploadedMap(file) {
+  if (!file) throw httpError(400, { error: 'No file uploaded' });
+  if (!file.mimetype.startsWith('image/')) {
+    fs.unlinkSync(file.path);
+    throw httpError(400, { error: 'File must be an image' });
+  }
+  try {
+    return buildRegionIndex(fs.readFileSync(file.path));
+  } catch (err) {
+    fs.unlinkSync(file.path);
+    throw httpError(400, { error: 'Map must be a valid PNG image: ' + err.message });
+  }
+}
+
+// API: map versions, newest first (admin only)
+app.get('/admin/maps', requirePermission('upload_map'), async (req, res) => {
+  try {
+    const rows = await dbAll('SELECT * FROM map_versions ORDER BY id DESC');
+    res.json({
+      versions: rows.map(r => ({
+        version: r.id,
+        mapImage: r.file,
+        width: r.width,
+        height: r.height,
+        regions: r.regions,
+        originalName: r.original_name,
+        uploadedBy: r.uploaded_by,
+        createdAt: r.created_at,
+        active: r.file === serverSettings.mapImage
+      }))
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'DB read failed' });
+  }
+});
+
+// API: upload a map PNG as a new version without making it live. Returns the version and a
+// report on how existing claims would fit it (see mapVersionReport). Admin only.
+app.post('/admin/maps', requirePermission('upload_map'), upload.single('mapImage'), async (req, res) => {
+  try {
+    const index = indexUploadedMap(req.file);
+    const row = await storeMapVersion(fs.readFileSync(req.file.path), req.file.originalname, index, req.session.username);
+    fs.unlinkSync(req.file.path);
+    dispatchMapUploaded(row, false);
+    res.json({ ok: true, version: row.id, report: await mapVersionReport(row, index) });
+  } catch (err) {
+    if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+    if (err.status) return res.status(err.status).json(err.body);
+    console.error('Failed to store map version', err);
+    res.status(500).json({ error: 'Failed to upload map: ' + err.message });
+  }
+});
+
+// API: how existing claims would fit a map version (admin only)
+app.get('/admin/maps/:version/report', requirePermission('upload_map'), async (req, res) => {
+  try {
+    const row = await dbGet('SELECT * FROM map_versions WHERE id = ?', [parseInt(req.params.version)]);
+    if (!row) return res.status(404).json({ error: 'Map version not found' });
+    res.json(await mapVersionReport(row, loadMapVersionIndex(row)));
+  } catch (err) {
+    console.error('Failed to check map version', err);
+    res.status(500).json({ error: 'Failed to check map version: ' + err.message });
+  }
+});
+
+// API: make a map version live, also used to roll back (admin only).
+// Body: { migrate: true } re-seeds claims into the best-matching regions of that map.
+app.post('/admin/maps/:version/activate', requirePermission('upload_map'), async (req, res) => {
+  try {
+    const result = await activateMapVersion(parseInt(req.params.version), !!(req.body && req.body.migrate));
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json(err.body);
+    console.error('Failed to activate map version', err);
+    res.status(500).json({ error: 'Failed to activate map version: ' + err.message });
+  }
+});
+
+// API: upload map PNG and make it live straight away, as a new map version (admin only).
+// Send migrate=true with the form to re-seed claims into the new map's regions.
+app.post('/upload-map', requirePermission('upload_map'), upload.single('mapImage'), async (req, res) => {
+  try {
+    const index = indexUploadedMap(req.file);
+    const row = await storeMapVersion(fs.readFileSync(req.file.path), req.file.originalname, index, req.session.username);
+    fs.unlinkSync(req.file.path);
+    const result = await activateMapVersion(row.id, req.body && req.body.migrate === 'true');
+    dispatchMapUploaded(row, true);
+    res.json({ ok: true, message: 'Map uploaded successfully', regions: index.regions.length - 1, ...result });
+  } catch (err) {
+    if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+    if (err.status) return res.status(err.status).json(err.body);
+    console.error('Failed to upload map', err);
+    res.status(500).json({ error: 'Failed to upload map: ' + err.message });
+  }
+});
+
+// Full game backups: users, claims with their history, settings and the live map image in one
+// gzipped JSON archive. Admins download and restore them; writeBackupFile() also keeps rotating
+// copies in privateDir/backups, on a schedule and before Clear DB, claim migrations and restores.
+// Those leave out password hashes unless backups.includePasswords is set (a restore then keeps
+// the hashes already on the server).
+const BACKUP_FORMAT = 'territory-map-backup';
+const BACKUP_TABLES = ['users', 'claims', 'claim_events'];
+const backupsDir = path.join(privateDir, 'backups');
+// Earlier versions kept them next to the database, readable by anyone
+const legacyBackupsDir = path.join(dbDir, 'backups');
+if (fs.existsSync(legacyBackupsDir) && !fs.existsSync(backupsDir)) {
+  fs.renameSync(legacyBackupsDir, backupsDir);
+  fs.chmodSync(backupsDir, 0o700);
+  fs.readdirSync(backupsDir).forEach(f => fs.chmodSync(path.join(backupsDir, f), 0o600));
+  console.log('Moved backups to', backupsDir);
+}
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+function backupSettings() {
+  const b = serverSettings.backups || {};
+  return {
+    intervalHours: Number(b.intervalHours) > 0 ? Number(b.intervalHours) : 0,
+    keep: Number(b.keep) > 0 ? Math.floor(Number(b.keep)) : 10,
+    includePasswords: b.includePasswords === true
+  };
+}
+
+// Build the archive object. Without includePasswords, password hashes are left out.
+async function createBackup(includePasswords) {
+  const tables = {};
+  for (const table of BACKUP_TABLES) {
+    tables[table] = await dbAll(`SELECT * FROM ${table} ORDER BY id`);
+  }
+  if (!includePasswords) tables.users.forEach(u => { delete u.password_hash; });
+
+  const { revision } = await getClaimsRevision();
+  const mapImage = serverSettings.mapImage;
+  return {
+    format: BACKUP_FORMAT,
+    version: 1,
+    createdAt: new Date().toISOString(),
+    includesPasswords: !!includePasswords,
+    revision,
+    settings: editableSettings(),
+    tables,
+    map: {
+      name: path.basename(mapImage),
+      data: fs.readFileSync(resolveMapPath(mapImage)).toString('base64')
+    }
+  };
+}
+
+// Write a backup archive into backupsDir and drop the oldest beyond the configured count
+async function writeBackupFile(reason) {
+  const { keep, includePasswords } = backupSettings();
+  const archive = await createBackup(includePasswords);
+  fs.mkdirSync(backupsDir, { recursive: true, mode: 0o700 });
+  const stamp = archive.createdAt.replace(/[:.]/g, '-');
+  const name = `backup-${stamp}-${reason}.json.gz`;
+  fs.writeFileSync(path.join(backupsDir, name), await gzip(JSON.stringify(archive)), { mode: 0o600 });
+
+  const stored = fs.readdirSync(backupsDir).filter(f => f.startsWith('backup-') && f.endsWith('.json.gz')).sort();
+  stored.slice(0, Math.max(0, stored.length - keep)).forEach(f => fs.unlinkSync(path.join(backupsDir, f)));
+  console.log(`Wrote backup ${name}`);
+  return name;
+}
+
+// Decode an uploaded archive (gzipped or plain JSON) and index its map.
+// Throws httpError(400) when it is not a usable backup.
+async function readBackup(buffer) {
+  let archive;
+  try {
+    const gzipped = buffer[0] === 0x1f && buffer[1] === 0x8b;
+    archive = JSON.parse((gzipped ? await gunzip(buffer) : buffer).toString('utf8'));
+  } catch (err) {
+    throw httpError(400, { error: 'Backup is not a readable archive' });
+  }
+  if (!archive || archive.format !== BACKUP_FORMAT || archive.version !== 1) {
+    throw httpError(400, { error: 'Not a backup from this server (unknown format or version)' });
+  }
+  if (!archive.tables || BACKUP_TABLES.some(t => !Array.isArray(archive.tables[t])) ||
+      !archive.settings || !archive.map || typeof archive.map.data !== 'string') {
+    throw httpError(400, { error: 'Backup is incomplete' });
+  }
+
+  const mapBuffer = Buffer.from(archive.map.data, 'base64');
+  let index;
+  try {
+    index = buildRegionIndex(mapBuffer);
+  } catch (err) {
+    throw httpError(400, { error: 'Backup map image could not be read: ' + err.message });
+  }
+  return { archive, mapBuffer, index };
+}
+
+// What restoring would do, next to what is there now (the dry run)
+async function backupSummary({ archive, mapBuffer, index }) {
+  const current = await dbGet(`SELECT
+    (SELECT COUNT(*) FROM users) AS users,
+    (SELECT COUNT(*) FROM claims) AS claims,
+    (SELECT COUNT(*) FROM claims WHERE ended_at IS NULL) AS liveClaims`);
+  const { users, claims, claim_events: events } = archive.tables;
+  const existing = new Set((await dbAll('SELECT username FROM users')).map(u => u.username));
+  return {
+    createdAt: archive.createdAt,
+    includesPasswords: !!archive.includesPasswords,
+    users: users.length,
+    admins: users.filter(u => u.role === 'admin').map(u => u.username),
+    usersWithoutPassword: users.filter(u => !u.password_hash && !existing.has(u.username)).length,
+    claims: claims.length,
+    liveClaims: claims.filter(c => !c.ended_at).length,
+    claimEvents: events.length,
+    teams: Object.keys(archive.settings.Teams || {}),
+    map: {
+      name: archive.map.name,
+      width: index.width,
+      height: index.height,
+      regions: index.regions.length - 1,
+      sameAsCurrent: mapBuffer.equals(fs.readFileSync(resolveMapPath(serverSettings.mapImage)))
+    },
+    current
+  };
+}
+
+// Insert backup rows, keeping only columns the table has
+async function restoreRows(table, rows) {
+  const columns = (await dbAll(`PRAGMA table_info(${table})`)).map(c => c.name);
+  for (const row of rows) {
+    const keys = columns.filter(c => row[c] !== undefined);
+    await dbRun(
+      `INSERT INTO ${table} (${keys.join(', ')}) VALUES (${keys.map(() => '?').join(', ')})`,
+      keys.map(k => row[k])
+    );
+  }
+}
+
+// Replace the game with a backup. Users missing a password hash keep the one of the same
+// username here, if any. Everyone is signed out and API tokens are revoked, since user ids may
+// now belong to other accounts.
+async function applyBackup({ archive, mapBuffer, index }, actor) {
+  await writeBackupFile('before-restore');
+
+  const summary = await backupSummary({ archive, mapBuffer, index });
+  const mapVersion = summary.map.sameAsCurrent
+    ? null
+    : await storeMapVersion(mapBuffer, archive.map.name, index, actor);
+  const mapImage = mapVersion ? mapVersion.file : serverSettings.mapImage;
+  const settings = { ...archive.settings, mapImage };
+
+  let revision;
+  await withTransaction(async () => {
+    const hashes = new Map((await dbAll('SELECT username, password_hash FROM users')).map(u => [u.username, u.password_hash]));
+    const users = archive.tables.users.map(u => ({ ...u, password_hash: u.password_hash || hashes.get(u.username) || '' }));
+
+    // API tokens are not backed up, and could otherwise end up belonging to other accounts
+    for (const table of [...BACKUP_TABLES, 'claim_tombstones', 'capture_progress', 'claim_confirmations', 'settings', 'api_tokens']) {
+      await dbRun(`DELETE FROM ${table}`);
+    }
+    await restoreRows('users', users);
+    await restoreRows('claims', archive.tables.claims);
+    await restoreRows('claim_events', archive.tables.claim_events);
+    for (const key of EDITABLE_SETTINGS) {
+      if (settings[key] === undefined) continue;
+      await dbRun('INSERT INTO settings (key, value) VALUES (?, ?)', [key, JSON.stringify(settings[key])]);
+    }
+
+    // Past every revision clients or the backup have seen, and a reset so cursors resync fully
+    const { revision: currentRevision } = await getClaimsRevision();
+    revision = Math.max(currentRevision, Number(archive.revision) || 0) + 1;
+    await dbRun(`UPDATE meta SET value = ? WHERE key IN ('claims_revision', 'claims_reset_revision')`, [revision]);
+  });
+
+  EDITABLE_SETTINGS.forEach(key => {
+    if (settings[key] !== undefined) serverSettings[key] = settings[key];
+  });
+  await new Promise((resolve, reject) => {
+    const done = (err) => (err ? reject(err) : resolve());
+    if (mapVersion) activateRegionIndex(index, done);
+    else reindexClaimRegions(done);
+  });
+  await new Promise(resolve => sessionStore.clear(() => resolve()));
+
+  console.log(`Restored backup from ${archive.createdAt} (${summary.users} users, ${summary.claims} claims)`);
+  broadcastClaimEvent('settings', { settings: publicSettings(), revision });
+  return { revision, mapImage, summary };
+}
+
+// API: download a backup archive (admin only). Password hashes are only included with ?passwords=1.
+app.get('/admin/backup', requirePermission('manage_backups'), async (req, res) => {
+  try {
+    const archive = await createBackup(req.query.passwords === '1');
+    const stamp = archive.createdAt.slice(0, 19).replace(/[:T]/g, '-');
+    res.setHeader('Content-Type', 'application/gzip');
+    res.setHeader('Content-Disposition', `attachment; filename="backup-${stamp}.json.gz"`);
+    res.send(await gzip(JSON.stringify(archive)));
+  } catch (err) {
+    console.error('Failed to create backup', err);
+    res.status(500).json({ error: 'Failed to create backup: ' + err.message });
+  }
+});
+
+// API: backups kept on the server, newest first (admin only)
+app.get('/admin/backups', requirePermission('manage_backups'), (req, res) => {
+  const names = fs.existsSync(backupsDir)
+    ? fs.readdirSync(backupsDir).filter(f => f.startsWith('backup-') && f.endsWith('.json.gz')).sort().reverse()
+    : [];
+  res.json({
+    backups: names.map(name => {
+      const stat = fs.statSync(path.join(backupsDir, name));
+      return { name, size: stat.size, createdAt: stat.mtime.toISOString() };
+    }),
+    ...backupSettings()
+  });
+});
+
+// API: download a backup kept on the server (admin only)
+app.get('/admin/backups/:name', requirePermission('manage_backups'), (req, res) => {
+  const name = path.basename(req.params.name);
+  const file = path.join(backupsDir, name);
+  if (!name.startsWith('backup-') || !fs.existsSync(file)) {
+    return res.status(404).json({ error: 'Backup not found' });
+  }
+  res.download(file, name);
+});
+
+// API: restore from a backup (admin only). Send the archive as the 'backup' form file, or the
+// name of a backup kept on the server. Nothing changes unless dryRun=false is sent; the dry run
+// returns the summary of what would be restored.
+app.post('/admin/backup/restore', requirePermission('manage_backups'), upload.single('backup'), async (req, res) => {
+  try {
+    let buffer;
+    if (req.file) {
+      buffer = fs.readFileSync(req.file.path);
+      fs.unlinkSync(req.file.path);
+    } else if (req.body && req.body.name) {
+      const file = path.join(backupsDir, path.basename(req.body.name));
+      if (!fs.existsSync(file)) return res.status(404).json({ error: 'Backup not found' });
+      buffer = fs.readFileSync(file);
+    } else {
+      return res.status(400).json({ error: 'No backup uploaded' });
+    }
+
+    const backup = await readBackup(buffer);
+    const dryRun = !(req.body && (req.body.dryRun === 'false' || req.body.dryRun === false));
+    if (dryRun) {
+      return res.json({ ok: true, dryRun: true, summary: await backupSummary(backup) });
+    }
+    const result = await applyBackup(backup, req.session.username);
+    res.json({ ok: true, dryRun: false, ...result });
+  } catch (err) {
+    if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+    if (err.status) return res.status(err.status).json(err.body);
+    console.error('Failed to restore backup', err);
+    res.status(500).json({ error: 'Failed to restore backup: ' + err.message });
+  }
+});
+
+// Outbound webhooks (see webhooks.js). The secret signs every delivery and is only shown when
+// the webhook is created or its secret rotated.
+function webhookInfo(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    events: JSON.parse(row.events),
+    format: row.format,
+    enabled: !!row.enabled,
+    createdBy: row.created_by,
+    createdAt: row.created_at
+  };
+}
+
+// Check a webhook create/update body. Returns the columns to set; throws httpError(400).
+// When partial is set only the fields present are checked.
+function validateWebhook(body, partial) {
+  const updates = {};
+  if (!partial || body.url !== undefined) {
+    let url;
+    try {
+      url = new URL(String(body.url || ''));
+    } catch (err) {
+      throw httpError(400, { error: 'Webhook URL is not a valid URL' });
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw httpError(400, { error: 'Webhook URL must use http or https' });
+    }
+    updates.url = url.href;
+  }
+  if (!partial || body.events !== undefined) {
+    const events = body.events;
+    if (!Array.isArray(events) || !events.length || !events.every(e => e === '*' || WEBHOOK_EVENTS.includes(e))) {
+      throw httpError(400, { error: `Choose one or more events: ${WEBHOOK_EVENTS.join(', ')} (or * for all)` });
+    }
+    updates.events = JSON.stringify([...new Set(events)]);
+  }
+  if (body.format !== undefined || !partial) {
+    const format = body.format === undefined ? 'json' : body.format;
+    if (!WEBHOOK_FORMATS.includes(format)) {
+      throw httpError(400, { error: `Format must be one of ${WEBHOOK_FORMATS.join(', ')}` });
+    }
+    updates.format = format;
+  }
+  if (body.enabled !== undefined) updates.enabled = body.enabled ? 1 : 0;
+  if (body.secret !== undefined && body.secret !== '') {
+    if (typeof body.secret !== 'string' || body.secret.length < 16) {
+      throw httpError(400, { error: 'Webhook secret must be at least 16 characters' });
+    }
+    updates.secret = body.secret;
+  }
+  return updates;
+}
+
+// API: webhooks and the events they can subscribe to (admin only)
+app.get('/admin/webhooks', requirePermission('manage_webhooks'), async (req, res) => {
+  try {
+    const rows = await dbAll('SELECT * FROM webhooks ORDER BY id');
+    const stats = await dbAll(
+      `SELECT webhook_id, status, COUNT(*) AS count FROM webhook_deliveries GROUP BY webhook_id, status`
+    );
+    res.json({
+      events: WEBHOOK_EVENTS,
+      formats: WEBHOOK_FORMATS,
+      webhooks: rows.map(row => {
+        const deliveries = { pending: 0, delivered: 0, failed: 0 };
+        stats.filter(s => s.webhook_id === row.id).forEach(s => { deliveries[s.status] = s.count; });
+        return { ...webhookInfo(row), deliveries };
+      })
+    });
+  } catch (err) {
+    console.error('Failed to list webhooks', err);
+    res.status(500).json({ error: 'Failed to list webhooks' });
+  }
+});
+
+// API: add a webhook. Body: { url, events, format, secret }; a secret is generated when none
+// is given and returned once in the response (admin only)
+app.post('/admin/webhooks', requirePermission('manage_webhooks'), async (req, res) => {
+  try {
+    const webhook = validateWebhook(req.body || {}, false);
+    const secret = webhook.secret || crypto.randomBytes(24).toString('base64url');
+    const { lastID } = await dbRun(
+      'INSERT INTO webhooks (url, secret, events, format, enabled, created_by, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [webhook.url, secret, webhook.events, webhook.format, webhook.enabled === 0 ? 0 : 1, req.session.username, new Date().toISOString()]
+    );
+    console.log(`Webhook ${lastID} (${webhook.url}) added by ${req.session.username}`);
+    res.json({ ok: true, secret, webhook: webhookInfo(await dbGet('SELECT * FROM webhooks WHERE id = ?', [lastID])) });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json(err.body);
+    console.error('Failed to add webhook', err);
+    res.status(500).json({ error: 'Failed to add webhook' });
+  }
+});
+
+// API: change a webhook. Body: any of { url, events, format, enabled, secret }, or
+// { rotateSecret: true } for a new generated secret, returned once (admin only)
+app.post('/admin/webhooks/:id', requirePermission('manage_webhooks'), async (req, res) => {
+  const id = parseInt(req.params.id);
+  try {
+    const updates = validateWebhook(req.body || {}, true);
+    if (req.body && req.body.rotateSecret === true) updates.secret = crypto.randomBytes(24).toString('base64url');
+    const row = await dbGet('SELECT id FROM webhooks WHERE id = ?', [id]);
+    if (!row) return res.status(404).json({ error: 'Webhook not found' });
+    const columns = Object.keys(updates);
+    if (columns.length) {
+      await dbRun(`UPDATE webhooks SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`, [...columns.map(c => updates[c]), id]);
+    }
+    res.json({
+      ok: true,
+      ...(updates.secret ? { secret: updates.secret } : {}),
+      webhook: webhookInfo(await dbGet('SELECT * FROM webhooks WHERE id = ?', [id]))
+    });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json(err.body);
+    console.error('Failed to update webhook', err);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+// API: remove a webhook and its delivery log (admin only)
+app.delete('/admin/webhooks/:id', requirePermission('manage_webhooks'), async (req, res) => {
+  const id = parseInt(req.params.id);
+  try {
+    const result = await withTransaction(async () => {
+      await dbRun('DELETE FROM webhook_deliveries WHERE webhook_id = ?', [id]);
+      return dbRun('DELETE FROM webhooks WHERE id = ?', [id]);
+    });
+    if (!result.changes) return res.status(404).json({ error: 'Webhook not found' });
+    console.log(`Webhook ${id} removed by ${req.session.username}`);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Failed to remove webhook', err);
+    res.status(500).json({ error: 'Failed to remove webhook' });
+  }
+});
+
+// API: send a test 'ping' event to a webhook, whatever its event filter (admin only)
+app.post('/admin/webhooks/:id/test', requirePermission('manage_webhooks'), async (req, res) => {
+  const id = parseInt(req.params.id);
+  try {
+    const row = await dbGet('SELECT id, enabled FROM webhooks WHERE id = ?', [id]);
+    if (!row) return res.status(404).json({ error: 'Webhook not found' });
+    if (!row.enabled) return res.status(409).json({ error: 'Enable the webhook before testing it' });
+    const deliveryId = await webhooks.enqueue(id, 'ping', { actor: req.session.username });
+    res.json({ ok: true, deliveryId });
+  } catch (err) {
+    console.error('Failed to test webhook', err);
+    res.status(500).json({ error: 'Failed to test webhook' });
+  }
+});
+
+// API: delivery log of a webhook, newest first. ?limit= (default 50, at most 200) (admin only)
+app.get('/admin/webhooks/:id/deliveries', requirePermission('manage_webhooks'), async (req, res) => {
+  const id = parseInt(req.params.id);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+  try {
+    const rows = await dbAll(
+      'SELECT * FROM webhook_deliveries WHERE webhook_id = ? ORDER BY id DESC LIMIT ?',
+      [id, limit]
+    );
+    res.json({
+      deliveries: rows.map(d => ({
+        id: d.id,
+        event: d.event,
+        status: d.status,
+        attempts: d.attempts,
+        responseStatus: d.response_status,
+        error: d.error,
+        createdAt: d.created_at,
+        deliveredAt: d.delivered_at,
+        nextAttemptAt: d.next_attempt_at ? new Date(d.next_attempt_at).toISOString() : null
+      }))
+    });
+  } catch (err) {
+    console.error('Failed to read webhook deliveries', err);
+    res.status(500).json({ error: 'Failed to read webhook deliveries' });
+  }
+});
+
+// API: try a failed delivery again (admin only)
+app.post('/admin/webhooks/deliveries/:id/redeliver', requirePermission('manage_webhooks'), async (req, res) => {
+  try {
+    if (!await webhooks.redeliver(parseInt(req.params.id))) {
+      return res.status(404).json({ error: 'No failed delivery with that id' });
+    }
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Failed to redeliver webhook', err);
+    res.status(500).json({ error: 'Failed to redeliver webhook' });
+  }
+});
+
+// API: live claim updates as Server-Sent Events (see broadcastClaimEvent). The map is public, so
+// anyone may listen, but each IP holds at most rateLimits.streamsPerIp streams open.
+app.get('/claims/stream', (req, res) => {
+  const max = rateLimitSettings().streamsPerIp;
+  const open = claimStreamsByIp.get(req.ip) || 0;
+  if (max && open >= max) {
+    return res.status(429).json({ error: 'Too many open claim streams from your address' });
+  }
+  claimStreamsByIp.set(req.ip, open + 1);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  claimStreamClients.add(res);
+  // Comment lines keep proxies from closing an idle stream
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    claimStreamClients.delete(res);
+    const left = claimStreamsByIp.get(req.ip) - 1;
+    if (left > 0) claimStreamsByIp.set(req.ip, left);
+    else claimStreamsByIp.delete(req.ip);
+  });
+});
+
+// API: list claims.
+//   /claims?region=412  only claims on one region
+//   /claims?since=57    only changes after revision 57: { revision, claims, deleted }, where
+//                       deleted lists tombstones ({ id, region_id }). If the cursor predates the
+//                       last full clear the response is a full listing with reset: true.
+// The full listing carries an ETag of the current revision and answers 304 when unchanged.
+app.get('/claims', async (req, res) => {
+  try {
+    const { revision, resetRevision } = await getClaimsRevision();
+
+    if (req.query.region !== undefined) {
+      const regionId = parseInt(req.query.region);
+      if (!Number.isInteger(regionId) || regionId <= 0) {
+        return res.status(400).json({ error: 'Invalid region ID' });
+      }
+      const rows = await dbAll('SELECT * FROM claims WHERE region_id = ? AND ended_at IS NULL ORDER BY id DESC', [regionId]);
+      return res.json({ claims: rows, revision });
+    }
+
+    if (req.query.since !== undefined) {
+      const since = parseInt(req.query.since);
+      if (!Number.isInteger(since) || since < 0) {
+        return res.status(400).json({ error: 'Invalid since revision' });
+      }
+      if (since >= resetRevision) {
+        const rows = await dbAll('SELECT * FROM claims WHERE revision > ? AND ended_at IS NULL ORDER BY id DESC', [since]);
+        const tombstones = await dbAll(
+          'SELECT claim_id AS id, region_id FROM claim_tombstones WHERE revision > ? ORDER BY claim_id',
+          [since]
+        );
+        return res.json({ claims: rows, deleted: tombstones, revision });
+      }
+    }
+
+    const reset = req.query.since !== undefined;
+    if (!reset) {
+      res.set('ETag', `"claims-${revision}"`);
+      if (req.fresh) return res.status(304).end();
+    }
+
+    const rows = await dbAll('SELECT * FROM claims WHERE ended_at IS NULL ORDER BY id DESC');
+    res.json(reset ? { claims: rows, revision, reset } : { claims: rows, revision });
+  } catch (err) {
+    res.status(500).json({ error: 'DB read failed' });
+  }
+});
+
+// Region outlines for the GeoJSON export, per map (see traceRegionOutline)
+let regionOutlineCache = { generation: -1, outlines: new Map() };
+
+function regionOutline(regionId) {
+  if (regionOutlineCache.generation !== regionIndexGeneration) {
+    regionOutlineCache = { generation: regionIndexGeneration, outlines: new Map() };
+  }
+  const { outlines } = regionOutlineCache;
+  if (!outlines.has(regionId)) outlines.set(regionId, traceRegionOutline(regionIndex, regionId));
+  return outlines.get(regionId);
+}
+
+const CLAIM_EXPORT_COLUMNS = ['id', 'player', 'userId', 'team', 'color', 'createdAt', 'regionId', 'regionArea', 'x', 'y', 'protectedUntil'];
+
+// Text starting with =, +, -, @, tab or CR would run as a formula in a spreadsheet; a leading '
+// keeps it text. Player and team names are free text, so every string field gets this.
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = "'" + text;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// API: download live claims for analysis (moderators and admins). Query: format (csv, json or
+// geojson), plus the player, team, date, protectedOnly and limit of the admin claim search, with
+// the same order and cap of CLAIM_SEARCH_LIMIT claims. The X-Claims-Truncated header (and
+// truncated in JSON) says whether more claims matched.
+// GeoJSON has one Polygon feature per claim, traced from its region in image pixel coordinates.
+app.get('/claims/export', requirePermission('view_claims_admin'), rateLimit('claim-exports', 'exportRequestsPerMinute', 60 * 1000), async (req, res) => {
+  const format = String(req.query.format || 'csv').toLowerCase();
+  if (!['csv', 'json', 'geojson'].includes(format)) {
+    return res.status(400).json({ error: 'format must be csv, json or geojson' });
+  }
+
+  try {
+    const { claims: rows, limit, truncated } = await findClaims({
+      player: req.query.player,
+      team: req.query.team,
+      date: req.query.date,
+      protectedOnly: req.query.protectedOnly === 'true',
+      limit: req.query.limit
+    }, 'id, x, y, team, color, player, user_id, region_id, created_at, protected_from');
+    const { revision } = await getClaimsRevision();
+    const now = Date.now();
+    const claims = rows.map(c => {
+      const region = regionIndex && c.region_id ? regionIndex.regions[c.region_id] : null;
+      return {
+        id: c.id,
+        player: c.player,
+        userId: c.user_id,
+        team: c.team,
+        color: c.color,
+        createdAt: c.created_at,
+        regionId: c.region_id,
+        regionArea: region ? region.area : null,
+        x: c.x,
+        y: c.y,
+        protectedUntil: protectedUntil(c, now)
+      };
+    });
+
+    const stamp = new Date(now).toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    const filename = `claims-${stamp}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('X-Claims-Truncated', String(truncated));
+
+    if (format === 'csv') {
+      const lines = [CLAIM_EXPORT_COLUMNS.join(',')]
+        .concat(claims.map(c => CLAIM_EXPORT_COLUMNS.map(k => csvField(c[k])).join(',')));
+      res.type('text/csv').send(lines.join('\r\n') + '\r\n');
+    } else if (format === 'json') {
+      res.json({ exportedAt: new Date(now).toISOString(), revision, mapImage: serverSettings.mapImage, limit, truncated, claims });
+    } else {
+      const features = claims.map(c => {
+        const rings = c.regionId && regionIndex ? regionOutline(c.regionId) : [];
+        return {
+          type: 'Feature',
+          id: c.id,
+          geometry: rings.length ? { type: 'Polygon', coordinates: rings } : null,
+          properties: c
+        };
+      });
+      res.type('application/geo+json').send(JSON.stringify({
+        type: 'FeatureCollection',
+        // Not geographic: x grows to the right and y downwards from the top-left of the map image
+        properties: {
+          exportedAt: new Date(now).toISOString(),
+          revision,
+          mapImage: serverSettings.mapImage,
+          width: regionIndex ? regionIndex.width : null,
+          height: regionIndex ? regionIndex.height : null,
+          coordinates: 'image pixels',
+          limit,
+          truncated
+        },
+        features
+      }));
+    }
+  } catch (err) {
+    console.error('Failed to export claims', err);
+    res.status(500).json({ error: 'Failed to export claims' });
+  }
+});
+
+// API: the map state at a moment in time: claims that were live at ?time=<ISO date>
+app.get('/claims/at', async (req, res) => {
+  const time = new Date(req.query.time);
+  if (!req.query.time || isNaN(time)) {
+    return res.status(400).json({ error: 'Invalid time' });
+  }
+  const iso = time.toISOString();
+  
+  try {
+    const rows = await dbAll(
+      'SELECT * FROM claims WHERE created_at <= ? AND (ended_at IS NULL OR ended_at > ?) ORDER BY id DESC',
+      [iso, iso]
+    );
+    res.json({ time: iso, claims: rows });
+  } catch (err) {
+    res.status(500).json({ error: 'DB read failed' });
+  }
+});
+
+// API: every claim ever made, including ended ones, for replaying the map client-side
+app.get('/claims/history', async (req, res) => {
+  try {
+    const rows = await dbAll(
+      'SELECT id, region_id, team, color, player, created_at, ended_at FROM claims ORDER BY created_at, id'
+    );
+    res.json({ claims: rows, serverTime: new Date().toISOString() });
+  } catch (err) {
+    res.status(500).json({ error: 'DB read failed' });
+  }
+});
+
+// API: region index of the current map (anchor pixel for each region id). While the
+// adjacency rule is on, regions also list their neighbours and each team's starting regions
+// are included, so the client can check clicks before confirming.
+app.get('/regions', (req, res) => {
+  if (!regionIndex) {
+    return res.status(503).json({ error: 'Region index not available' });
+  }
+  const adjacency = adjacencyRuleEnabled();
+  const regions = [];
+  for (let id = 1; id < regionIndex.regions.length; id++) {
+    const r = regionIndex.regions[id];
+    const entry = { id: r.id, x: r.x, y: r.y, area: r.area };
+    if (adjacency) entry.neighbours = regionIndex.neighbours[id];
+    regions.push(entry);
+  }
+  
+  let adjacencyRule = { enabled: false };
+  if (adjacency) {
+    const startingRegions = {};
+    Object.keys(serverSettings.Teams || {}).forEach(team => {
+      startingRegions[team] = Array.from(getStartingRegions(team));
+    });
+    adjacencyRule = { enabled: true, startingRegions };
+  }
+  res.json({ width: regionIndex.width, height: regionIndex.height, regions, adjacencyRule });
+});
+
+// API: capture progress on enemy-held regions while the region strength mode is on.
+// Points are as last stored; clients apply the decay from updatedAt themselves.
+app.get('/regions/contested', async (req, res) => {
+  const strength = regionStrengthSettings();
+  if (!strength) {
+    return res.json({ enabled: false, contested: [] });
+  }
+  try {
+    const now = Date.now();
+    const rows = await dbAll('SELECT region_id, team, points, updated_at FROM capture_progress');
+    const contested = rows
+      .filter(r => decayedPoints(r, strength, now) > 0)
+      .map(r => ({ regionId: r.region_id, team: r.team, points: r.points, updatedAt: r.updated_at }));
+    res.json({ enabled: true, ...strength, contested });
+  } catch (err) {
+    res.status(500).json({ error: 'DB read failed' });
+  }
+});
+
+// Rendered /map.png images (promises of PNG buffers), keyed by map generation, claims
+// revision and ?at= time, so any claim change or map upload produces a fresh key
+const MAP_IMAGE_CACHE_SIZE = 8;
+const mapImageCache = new Map();
+
+function getRenderedMap(key, loadClaims) {
+  if (!mapImageCache.has(key)) {
+    const index = regionIndex;
+    const render = loadClaims().then(claims => renderMapPNG(
+      index,
+      claims.slice().sort((a, b) => a.id - b.id).map(c => ({ regionId: c.region_id, color: c.color }))
+    ));
+    render.catch(() => mapImageCache.delete(key));
+    mapImageCache.set(key, render);
+    // drop the oldest entries
+    while (mapImageCache.size > MAP_IMAGE_CACHE_SIZE) {
+      mapImageCache.delete(mapImageCache.keys().next().value);
+    }
+  }
+  return mapImageCache.get(key);
+}
+
+// API: the map with all claim fills, rendered server-side (for embedding in forums and bots).
+// /map.png?at=<date> renders the map as it stood at that time.
+app.get('/map.png', async (req, res) => {
+  if (!regionIndex) {
+    return res.status(503).json({ error: 'Region index not available' });
+  }
+  
+  let at = null;
+  if (req.query.at !== undefined) {
+    at = new Date(req.query.at);
+    if (isNaN(at)) return res.status(400).json({ error: 'Invalid at date' });
+    at = at.toISOString();
+  }
+  
+  try {
+    const { revision } = await getClaimsRevision();
+    const key = `${regionIndexGeneration}:${revision}:${at || 'live'}`;
+    
+    res.set('ETag', `"map-${key}"`);
+    res.set('Cache-Control', 'no-cache');
+    if (req.fresh) return res.status(304).end();
+    
+    const png = await getRenderedMap(key, () => at
+      ? dbAll('SELECT id, region_id, color FROM claims WHERE created_at <= ? AND (ended_at IS NULL OR ended_at > ?)', [at, at])
+      : dbAll('SELECT id, region_id, color FROM claims WHERE ended_at IS NULL'));
+    res.type('png').send(png);
+  } catch (err) {
+    console.error('Failed to render map image:', err);
+    res.status(500).json({ error: 'Failed to render map image' });
+  }
+});
+
+// Tally the regions held per team and per player from a set of claims. A region belongs to
+// the newest claim on it; area is its white-pixel count in the region index.
+function tallyHoldings(claims) {
+  const owners = new Map();
+  for (const c of claims) {
+    const current = owners.get(c.region_id);
+    if (!current || c.id > current.id) owners.set(c.region_id, c);
+  }
+  
+  const teams = new Map();
+  const players = new Map();
+  for (const c of owners.values()) {
+    const region = regionIndex.regions[c.region_id];
+    if (!region) continue;
+    const teamKey = c.team || '';
+    const playerKey = c.user_id != null ? `id:${c.user_id}` : `name:${c.player}`;
+    
+    if (!teams.has(teamKey)) teams.set(teamKey, { regions: 0, area: 0 });
+    if (!players.has(playerKey)) players.set(playerKey, { player: c.player, userId: c.user_id, regions: 0, area: 0, teams: {} });
+    const t = teams.get(teamKey);
+    const p = players.get(playerKey);
+    t.regions++;
+    t.area += region.area;
+    p.regions++;
+    p.area += region.area;
+    p.teams[teamKey] = (p.teams[teamKey] || 0) + 1;
+  }
+  return { teams, players };
+}
+
+// API: leaderboard - regions and pixel area held per team and per player, with the change
+// since the start of the server's day
+app.get('/stats', async (req, res) => {
+  if (!regionIndex) {
+    return res.status(503).json({ error: 'Region index not available' });
+  }
+  
+  const dayStart = new Date();
+  dayStart.setHours(0, 0, 0, 0);
+  const since = dayStart.toISOString();
+  
+  try {
+    const { revision } = await getClaimsRevision();
+    const now = await dbAll('SELECT id, region_id, team, user_id, player FROM claims WHERE ended_at IS NULL AND region_id IS NOT NULL');
+    const then = await dbAll(
+      'SELECT id, region_id, team, user_id, player FROM claims WHERE region_id IS NOT NULL AND created_at <= ? AND (ended_at IS NULL OR ended_at > ?)',
+      [since, since]
+    );
+    const current = tallyHoldings(now);
+    const previous = tallyHoldings(then);
+    const empty = { regions: 0, area: 0 };
+    
+    // Every configured team is listed, even with nothing held
+    const teamNames = new Set(Object.keys(serverSettings.Teams || {}));
+    current.teams.forEach((v, k) => { if (k) teamNames.add(k); });
+    previous.teams.forEach((v, k) => { if (k) teamNames.add(k); });
+    const teams = Array.from(teamNames).map(team => {
+      const held = current.teams.get(team) || empty;
+      const before = previous.teams.get(team) || empty;
+      return {
+        team,
+        color: (serverSettings.Teams && serverSettings.Teams[team] && serverSettings.Teams[team].color) || null,
+        regions: held.regions,
+        area: held.area,
+        regionsChange: held.regions - before.regions,
+        areaChange: held.area - before.area
+      };
+    });
+    
+    const playerKeys = new Set([...current.players.keys(), ...previous.players.keys()]);
+    const players = Array.from(playerKeys).map(key => {
+      const held = current.players.get(key);
+      const before = previous.players.get(key) || empty;
+      const info = held || previous.players.get(key);
+      // A player's team is the one most of their regions are held for
+      const heldTeams = Object.entries(info.teams).sort((a, b) => b[1] - a[1]);
+      return {
+        player: info.player,
+        userId: info.userId,
+        team: heldTeams.length && heldTeams[0][0] ? heldTeams[0][0] : null,
+        regions: held ? held.regions : 0,
+        area: held ? held.area : 0,
+        regionsChange: (held ? held.regions : 0) - before.regions,
+        areaChange: (held ? held.area : 0) - before.area
+      };
+    });
+    
+    const byArea = (a, b) => b.area - a.area || b.regions - a.regions;
+    teams.sort(byArea);
+    players.sort(byArea);
+    
+    let totalArea = 0;
+    for (let id = 1; id < regionIndex.regions.length; id++) totalArea += regionIndex.regions[id].area;
+    
+    res.json({
+      revision,
+      since,
+      totalRegions: regionIndex.regions.length - 1,
+      totalArea,
+      teams,
+      players
+    });
+  } catch (err) {
+    console.error('Failed to compute stats:', err);
+    res.status(500).json({ error: 'DB read failed' });
+  }
+});
+
+// Serve the client - MUST come after API routes. Files are listed one by one so the database,
+// ServerSettings.json and the server code in the same directory are never served.
+const sendAppFile = (file) => (req, res) => res.sendFile(path.join(__dirname, file));
+app.get(['/', '/index.html'], sendAppFile('index.html'));
+app.get('/main.js', sendAppFile('main.js'));
+app.get('/html.css', sendAppFile('html.css'));
+app.get('/favicon.ico', sendAppFile('favicon.ico'));
+app.use('/resources', express.static(path.join(__dirname, 'resources')));
+app.use('/maps', express.static(path.join(path.dirname(dbFile), 'maps')));
 
 app.listen(port, () => {
   console.log(`Server listening on http://localhost:${port}`);
 });
+
+// Scheduled backups (ServerSettings.json backups.intervalHours; 0 or unset turns them off)
+const { intervalHours } = backupSettings();
+if (intervalHours) {
+  setInterval(() => {
+    writeBackupFile('scheduled').catch(err => console.error('Scheduled backup failed', err));
+  }, intervalHours * 60 * 60 * 1000);
+}
+
+// Daily claim limits start over at server-local midnight (see getServerLocalDate); the
+// daily.reset webhook event goes out just after it
+function scheduleDailyReset() {
+  const now = new Date();
+  const midnight = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+  setTimeout(() => {
+    webhooks.dispatch('daily.reset', { date: getServerLocalDate(), defaultDailyClaimLimit: serverSettings.defaultDailyClaimLimit || 10 });
+    scheduleDailyReset();
+  }, midnight - now + 1000).unref();
+}
+scheduleDailyReset();
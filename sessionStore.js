@@ -0,0 +1,74 @@
+const session = require('express-session');
+
+// express-session store keeping sessions in the game's SQLite database, so signing in
+// survives server restarts. Expired rows are swept every cleanupMinutes.
+class SqliteSessionStore extends session.Store {
+  constructor(db, { cleanupMinutes = 15 } = {}) {
+    super();
+    this.db = db;
+    db.run(`CREATE TABLE IF NOT EXISTS sessions (
+      sid TEXT PRIMARY KEY,
+      sess TEXT NOT NULL,
+      expires INTEGER NOT NULL
+    )`);
+    this.cleanupTimer = setInterval(() => this.clearExpired(), cleanupMinutes * 60 * 1000);
+    this.cleanupTimer.unref();
+  }
+
+  // Expiry in ms since the epoch: the cookie's, or a day from now for sessions without one
+  static expiresAt(sess) {
+    const expires = sess.cookie && sess.cookie.expires;
+    return expires ? new Date(expires).getTime() : Date.now() + 24 * 60 * 60 * 1000;
+  }
+
+  get(sid, callback) {
+    this.db.get('SELECT sess FROM sessions WHERE sid = ? AND expires > ?', [sid, Date.now()], (err, row) => {
+      if (err) return callback(err);
+      if (!row) return callback(null, null);
+      try {
+        callback(null, JSON.parse(row.sess));
+      } catch (parseErr) {
+        callback(parseErr);
+      }
+    });
+  }
+
+  set(sid, sess, callback = () => {}) {
+    this.db.run(
+      'INSERT OR REPLACE INTO sessions (sid, sess, expires) VALUES (?, ?, ?)',
+      [sid, JSON.stringify(sess), SqliteSessionStore.expiresAt(sess)],
+      (err) => callback(err || null)
+    );
+  }
+
+  touch(sid, sess, callback = () => {}) {
+    this.db.run(
+      'UPDATE sessions SET expires = ? WHERE sid = ?',
+      [SqliteSessionStore.expiresAt(sess), sid],
+      (err) => callback(err || null)
+    );
+  }
+
+  destroy(sid, callback = () => {}) {
+    this.db.run('DELETE FROM sessions WHERE sid = ?', [sid], (err) => callback(err || null));
+  }
+
+  clear(callback = () => {}) {
+    this.db.run('DELETE FROM sessions', (err) => callback(err || null));
+  }
+
+  length(callback) {
+    this.db.get('SELECT COUNT(*) AS count FROM sessions WHERE expires > ?', [Date.now()], (err, row) => {
+      callback(err || null, row ? row.count : 0);
+    });
+  }
+
+  clearExpired(callback = () => {}) {
+    this.db.run('DELETE FROM sessions WHERE expires <= ?', [Date.now()], function(err) {
+      if (!err && this.changes) console.log(`Removed ${this.changes} expired session(s)`);
+      callback(err || null);
+    });
+  }
+}
+
+module.exports = { SqliteSessionStore };
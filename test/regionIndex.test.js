@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PNG } = require('pngjs');
+const { buildRegionIndex, regionAt, findRegionNear, traceRegionOutline } = require('../regionIndex');
+
+// Build a map image from rows of text: '.' is a white pixel, anything else a black border pixel
+function mapFromRows(rows) {
+  const png = new PNG({ width: rows[0].length, height: rows.length });
+  rows.forEach((row, y) => {
+    [...row].forEach((ch, x) => {
+      const idx = (y * png.width + x) * 4;
+      const v = ch === '.' ? 255 : 0;
+      png.data[idx] = v;
+      png.data[idx + 1] = v;
+      png.data[idx + 2] = v;
+      png.data[idx + 3] = 255;
+    });
+  });
+  return buildRegionIndex(PNG.sync.write(png));
+}
+
+function signedArea(ring) {
+  let sum = 0;
+  for (let i = 0; i + 1 < ring.length; i++) sum += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+  return sum / 2;
+}
+
+test('buildRegionIndex labels each white area in scan order', () => {
+  const index = mapFromRows([
+    '...#....',
+    '...#....',
+    '...#....'
+  ]);
+  assert.strictEqual(index.width, 8);
+  assert.strictEqual(index.height, 3);
+  assert.strictEqual(index.regions.length, 3);
+  assert.deepStrictEqual(index.regions[1], { id: 1, x: 0, y: 0, area: 9, minX: 0, minY: 0, maxX: 2, maxY: 2 });
+  assert.deepStrictEqual(index.regions[2], { id: 2, x: 4, y: 0, area: 12, minX: 4, minY: 0, maxX: 7, maxY: 2 });
+  assert.strictEqual(index.labels[3], 0);
+  assert.deepStrictEqual(index.neighbours[1], [2]);
+  assert.deepStrictEqual(index.neighbours[2], [1]);
+});
+
+test('buildRegionIndex keeps diagonal-only contact as separate regions', () => {
+  const index = mapFromRows([
+    '.#',
+    '#.'
+  ]);
+  assert.strictEqual(index.regions.length, 3);
+  assert.notStrictEqual(regionAt(index, 0, 0), regionAt(index, 1, 1));
+});
+
+test('buildRegionIndex does not make regions far apart neighbours', () => {
+  const index = mapFromRows([
+    '..########..',
+    '..########..'
+  ]);
+  assert.deepStrictEqual(index.neighbours[1], []);
+  assert.deepStrictEqual(index.neighbours[2], []);
+});
+
+test('regionAt returns 0 on borders and off the map', () => {
+  const index = mapFromRows([
+    '..#..',
+    '..#..'
+  ]);
+  assert.strictEqual(regionAt(index, 1.7, 0.2), 1);
+  assert.strictEqual(regionAt(index, 2, 0), 0);
+  assert.strictEqual(regionAt(index, -1, 0), 0);
+  assert.strictEqual(regionAt(index, 5, 0), 0);
+  assert.strictEqual(regionAt(null, 0, 0), 0);
+});
+
+test('findRegionNear snaps a border seed to the nearest white pixel within the radius', () => {
+  const index = mapFromRows([
+    '.#####....',
+    '.#####....',
+    '.#####....'
+  ]);
+  assert.strictEqual(findRegionNear(index, 0, 1), 1);
+  // Column 4 is one pixel from region 2 and three from region 1
+  assert.strictEqual(findRegionNear(index, 4, 1), 2);
+  assert.strictEqual(findRegionNear(index, 2, 1), 1);
+  assert.strictEqual(findRegionNear(index, 3, 1, 1), 0);
+});
+
+test('traceRegionOutline returns a closed clockwise ring for a rectangle', () => {
+  const index = mapFromRows([
+    '#####',
+    '#...#',
+    '#...#',
+    '#####'
+  ]);
+  const rings = traceRegionOutline(index, 1);
+  assert.strictEqual(rings.length, 1);
+  const [ring] = rings;
+  assert.deepStrictEqual(ring[0], ring[ring.length - 1]);
+  assert.strictEqual(ring.length, 5);
+  assert.deepStrictEqual(new Set(ring.map(p => p.join(','))), new Set(['1,1', '4,1', '4,3', '1,3']));
+  assert.strictEqual(signedArea(ring), 6);
+});
+
+test('traceRegionOutline returns holes after the outer ring with negative area', () => {
+  const index = mapFromRows([
+    '.....',
+    '.....',
+    '..#..',
+    '.....',
+    '.....'
+  ]);
+  const rings = traceRegionOutline(index, 1);
+  assert.strictEqual(rings.length, 2);
+  assert.strictEqual(signedArea(rings[0]), 25);
+  assert.strictEqual(signedArea(rings[1]), -1);
+  assert.strictEqual(signedArea(rings[0]) + signedArea(rings[1]), index.regions[1].area);
+});
+
+test('traceRegionOutline returns nothing for an unknown region', () => {
+  const index = mapFromRows(['..']);
+  assert.deepStrictEqual(traceRegionOutline(index, 7), []);
+});
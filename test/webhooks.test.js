@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { signPayload, formatPayload } = require('../webhooks');
+
+const claim = { id: 1, regionId: 12, team: 'Liberals', player: 'bob', color: '#ffff00', createdAt: '2026-01-01T00:00:00.000Z' };
+
+test('signPayload is an HMAC-SHA256 of "<timestamp>.<body>"', () => {
+  const body = JSON.stringify({ event: 'ping' });
+  const expected = crypto.createHmac('sha256', 'secret').update(`1700000000000.${body}`).digest('hex');
+  assert.strictEqual(signPayload('secret', 1700000000000, body), 'sha256=' + expected);
+  assert.notStrictEqual(signPayload('other', 1700000000000, body), signPayload('secret', 1700000000000, body));
+  assert.notStrictEqual(signPayload('secret', 1700000000001, body), signPayload('secret', 1700000000000, body));
+});
+
+test('formatPayload wraps the event for json webhooks', () => {
+  const data = { actor: 'bob', claims: [claim], revision: 3 };
+  assert.deepStrictEqual(formatPayload('json', 'claim.created', data, '2026-01-01T00:00:01.000Z'), {
+    event: 'claim.created',
+    sentAt: '2026-01-01T00:00:01.000Z',
+    data
+  });
+});
+
+test('formatPayload describes the event for Discord without pinging anyone', () => {
+  const data = { actor: 'bob', claims: [claim, { ...claim, id: 2 }, { ...claim, id: 3, team: 'Socialists', color: '#ff0000' }] };
+  const message = formatPayload('discord', 'claim.created', data, '2026-01-01T00:00:01.000Z');
+  assert.strictEqual(message.content, '**bob** claimed 3 regions for Liberals (2), Socialists');
+  assert.deepStrictEqual(message.allowed_mentions, { parse: [] });
+  assert.deepStrictEqual(message.embeds, [{ description: 'claim.created', color: 0xffff00, timestamp: '2026-01-01T00:00:01.000Z' }]);
+});
+
+test('formatPayload leaves out the Discord embed without a usable color', () => {
+  const cleared = formatPayload('discord', 'db.cleared', { actor: 'admin', deleted: 1 }, '2026-01-01T00:00:01.000Z');
+  assert.strictEqual(cleared.content, '**admin** cleared the map (1 claim removed)');
+  assert.strictEqual(cleared.embeds, undefined);
+
+  const named = formatPayload('discord', 'claim.deleted', { actor: 'mod', claims: [{ ...claim, color: 'red' }] }, '2026-01-01T00:00:01.000Z');
+  assert.strictEqual(named.content, '**mod** removed 1 claim of Liberals');
+  assert.strictEqual(named.embeds, undefined);
+});
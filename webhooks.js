@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+
+// Outbound webhooks: admins register URLs that receive a signed JSON POST whenever one of the
+// subscribed events happens. Every delivery is logged in webhook_deliveries; failed ones are
+// retried with exponential backoff (RETRY_BASE_MS, then 4x longer each time) until MAX_ATTEMPTS.
+
+const WEBHOOK_EVENTS = ['claim.created', 'claim.replaced', 'claim.deleted', 'daily.reset', 'map.uploaded', 'db.cleared'];
+const WEBHOOK_FORMATS = ['json', 'discord'];
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 30 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// Delivery log rows kept per webhook; older ones are pruned as new ones arrive
+const LOG_LIMIT = 200;
+
+// Signature sent in X-Claim-Map-Signature: HMAC-SHA256 of "<timestamp>.<body>" with the
+// webhook's secret, where timestamp is the X-Claim-Map-Timestamp header (ms since the epoch)
+function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function countOf(n, noun) {
+  return `${n} ${noun}${n === 1 ? '' : 's'}`;
+}
+
+// Team names with how many of the claims each has, e.g. "Liberals (2), Socialists"
+function teamList(claims) {
+  const counts = new Map();
+  for (const c of claims) counts.set(c.team || 'no team', (counts.get(c.team || 'no team') || 0) + 1);
+  return Array.from(counts, ([team, n]) => (n > 1 ? `${team} (${n})` : team)).join(', ');
+}
+
+// One-line description of an event, used for Discord messages
+function describeEvent(event, data) {
+  switch (event) {
+    case 'claim.created':
+      return `**${data.actor}** claimed ${countOf(data.claims.length, 'region')} for ${teamList(data.claims)}`;
+    case 'claim.replaced':
+      return `**${data.actor}** took ${countOf(data.claims.length, 'region')} from ${teamList(data.claims)}`;
+    case 'claim.deleted':
+      return `**${data.actor}** removed ${countOf(data.claims.length, 'claim')} of ${teamList(data.claims)}`;
+    case 'daily.reset':
+      return `Daily claim limits have reset for ${data.date}`;
+    case 'map.uploaded':
+      return `**${data.actor}** uploaded map version ${data.version} (${countOf(data.regions, 'region')})` +
+        (data.activated ? ' and made it the current map' : '');
+    case 'db.cleared':
+      return `**${data.actor}** cleared the map (${countOf(data.deleted, 'claim')} removed)`;
+    case 'ping':
+      return 'Test delivery from the claim map';
+    default:
+      return event;
+  }
+}
+
+// Request body for a webhook: the event as JSON, or a Discord "execute webhook" message
+function formatPayload(format, event, data, sentAt) {
+  if (format === 'discord') {
+    const message = { content: describeEvent(event, data), allowed_mentions: { parse: [] } };
+    const color = data.claims && data.claims[0] && data.claims[0].color;
+    if (color && /^#[0-9a-f]{6}$/i.test(color)) {
+      message.embeds = [{ description: event, color: parseInt(color.slice(1), 16), timestamp: sentAt }];
+    }
+    return message;
+  }
+  return { event, sentAt, data };
+}
+
+class WebhookDispatcher {
+  constructor(db, { pollSeconds = 15, userAgent = 'claim-map-webhooks' } = {}) {
+    this.db = db;
+    this.userAgent = userAgent;
+    // Deliveries being sent right now, so the retry sweep never sends one twice
+    this.inFlight = new Set();
+    db.serialize(() => {
+      db.run(`CREATE TABLE IF NOT EXISTS webhooks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        events TEXT NOT NULL,
+        format TEXT NOT NULL DEFAULT 'json',
+        enabled INTEGER NOT NULL DEFAULT 1,
+        created_by TEXT,
+        created_at TEXT NOT NULL
+      )`);
+      db.run(`CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        webhook_id INTEGER NOT NULL,
+        event TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        response_status INTEGER,
+        error TEXT,
+        created_at TEXT NOT NULL,
+        next_attempt_at INTEGER,
+        delivered_at TEXT
+      )`);
+      db.run('CREATE INDEX IF NOT EXISTS webhook_deliveries_pending ON webhook_deliveries (status, next_attempt_at)');
+    });
+    this.retryTimer = setInterval(() => this.retryDue(), pollSeconds * 1000);
+    this.retryTimer.unref();
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+  }
+
+  // Queue an event for every enabled webhook subscribed to it and start sending right away.
+  // Call after the change has been committed; never throws.
+  async dispatch(event, data) {
+    try {
+      const hooks = await this.all('SELECT id, events FROM webhooks WHERE enabled = 1');
+      for (const hook of hooks) {
+        const events = JSON.parse(hook.events);
+        if (!events.includes('*') && !events.includes(event)) continue;
+        await this.enqueue(hook.id, event, data);
+      }
+    } catch (err) {
+      console.error(`Failed to queue webhook event ${event}`, err);
+    }
+  }
+
+  // Log a delivery of one event to one webhook and send it. Returns the delivery id.
+  async enqueue(webhookId, event, data) {
+    const { lastID } = await this.run(
+      `INSERT INTO webhook_deliveries (webhook_id, event, payload, status, created_at, next_attempt_at) VALUES (?, ?, ?, 'pending', ?, ?)`,
+      [webhookId, event, JSON.stringify(data), new Date().toISOString(), Date.now()]
+    );
+    await this.run(
+      `DELETE FROM webhook_deliveries WHERE webhook_id = ? AND status != 'pending' AND id <= (
+        SELECT id FROM webhook_deliveries WHERE webhook_id = ? ORDER BY id DESC LIMIT 1 OFFSET ?)`,
+      [webhookId, webhookId, LOG_LIMIT]
+    );
+    this.deliver(lastID);
+    return lastID;
+  }
+
+  // Pending deliveries whose retry time has come
+  async retryDue() {
+    try {
+      const due = await this.all(
+        `SELECT id FROM webhook_deliveries WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY id LIMIT 50`,
+        [Date.now()]
+      );
+      for (const { id } of due) await this.deliver(id);
+    } catch (err) {
+      console.error('Webhook retry sweep failed', err);
+    }
+  }
+
+  // One attempt at sending a pending delivery; records the outcome and schedules any retry
+  async deliver(deliveryId) {
+    if (this.inFlight.has(deliveryId)) return;
+    this.inFlight.add(deliveryId);
+    try {
+      const [row] = await this.all(
+        `SELECT d.id, d.event, d.payload, d.attempts, d.status, w.url, w.secret, w.format, w.enabled
+         FROM webhook_deliveries d LEFT JOIN webhooks w ON w.id = d.webhook_id WHERE d.id = ?`,
+        [deliveryId]
+      );
+      if (!row || row.status !== 'pending') return;
+      if (!row.url || !row.enabled) {
+        await this.run(`UPDATE webhook_deliveries SET status = 'failed', error = ?, next_attempt_at = NULL WHERE id = ?`,
+          [row.url ? 'Webhook disabled' : 'Webhook deleted', deliveryId]);
+        return;
+      }
+
+      const timestamp = Date.now();
+      const body = JSON.stringify(formatPayload(row.format, row.event, JSON.parse(row.payload), new Date(timestamp).toISOString()));
+      const attempts = row.attempts + 1;
+      let responseStatus = null;
+      let error = null;
+      let retryAfterMs = 0;
+      try {
+        const response = await fetch(row.url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': this.userAgent,
+            'X-Claim-Map-Event': row.event,
+            'X-Claim-Map-Delivery': String(deliveryId),
+            'X-Claim-Map-Timestamp': String(timestamp),
+            'X-Claim-Map-Signature': signPayload(row.secret, timestamp, body)
+          },
+          body,
+          redirect: 'manual',
+          signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+        responseStatus = response.status;
+        if (!response.ok) {
+          error = `HTTP ${response.status} ${response.statusText}`.trim();
+          retryAfterMs = (Number(response.headers.get('retry-after')) || 0) * 1000;
+        }
+        // Drain the body so the connection can be reused
+        await response.arrayBuffer().catch(() => {});
+      } catch (err) {
+        error = err.name === 'TimeoutError' ? 'Timed out' : (err.cause && err.cause.message) || err.message;
+      }
+
+      if (!error) {
+        await this.run(
+          `UPDATE webhook_deliveries SET status = 'delivered', attempts = ?, response_status = ?, error = NULL, next_attempt_at = NULL, delivered_at = ? WHERE id = ?`,
+          [attempts, responseStatus, new Date().toISOString(), deliveryId]
+        );
+        return;
+      }
+
+      // Client errors other than timeouts and rate limits will not go away by retrying
+      const permanent = responseStatus >= 400 && responseStatus < 500 && responseStatus !== 408 && responseStatus !== 429;
+      const giveUp = permanent || attempts >= MAX_ATTEMPTS;
+      const nextAttempt = giveUp ? null : Date.now() + Math.max(RETRY_BASE_MS * 4 ** (attempts - 1), retryAfterMs);
+      await this.run(
+        'UPDATE webhook_deliveries SET status = ?, attempts = ?, response_status = ?, error = ?, next_attempt_at = ? WHERE id = ?',
+        [giveUp ? 'failed' : 'pending', attempts, responseStatus, error, nextAttempt, deliveryId]
+      );
+      if (giveUp) console.warn(`Webhook delivery ${deliveryId} (${row.event}) failed after ${attempts} attempt(s): ${error}`);
+    } catch (err) {
+      console.error(`Webhook delivery ${deliveryId} failed`, err);
+    } finally {
+      this.inFlight.delete(deliveryId);
+    }
+  }
+
+  // Queue a failed delivery again from a fresh set of attempts
+  async redeliver(deliveryId) {
+    const { changes } = await this.run(
+      `UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = ? WHERE id = ? AND status = 'failed'`,
+      [Date.now(), deliveryId]
+    );
+    if (changes) this.deliver(deliveryId);
+    return changes > 0;
+  }
+}
+
+module.exports = { WebhookDispatcher, WEBHOOK_EVENTS, WEBHOOK_FORMATS, signPayload, formatPayload };